@@ -11,6 +11,8 @@ const convertRoutes = require('./routes/convert');
 const organizeRoutes = require('./routes/organize');
 const editRoutes = require('./routes/edit');
 const securityRoutes = require('./routes/security');
+const imageRoutes = require('./routes/image');
+const archiveRoutes = require('./routes/archive');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -53,6 +55,16 @@ const storage = multer.diskStorage({
   }
 });
 
+// Routes that take ZIP uploads (HTML bundles with their images)
+const ZIP_UPLOAD_ROUTES = ['/api/convert/html-to-pdf'];
+
+// Text files that browsers and curl often send as application/octet-stream,
+// accepted by extension on the routes that read them
+const TEXT_UPLOAD_EXTENSIONS = {
+  '/api/convert/markdown-to-pdf': ['.md', '.markdown', '.txt', '.log'],
+  '/api/convert/data-to-pdf': ['.csv', '.json']
+};
+
 const upload = multer({
   storage: storage,
   limits: {
@@ -65,19 +77,37 @@ const upload = multer({
       'image/jpeg',
       'image/jpg',
       'image/png',
+      'image/gif',
+      'image/bmp',
+      'image/x-ms-bmp',
+      'image/tiff',
+      'image/webp',
+      'image/avif',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
       'application/vnd.openxmlformats-officedocument.presentationml.presentation',
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
       'text/html',
+      'text/plain',
+      'text/markdown',
+      'text/x-markdown',
+      'text/csv',
+      'application/json',
       'application/msword',
       'application/vnd.ms-powerpoint',
       'application/vnd.ms-excel'
     ];
     
-    if (allowedTypes.includes(file.mimetype)) {
+    // ZIP bundles are only read by HTML to PDF
+    const route = req.originalUrl.split('?')[0];
+    const zipTypes = ['application/zip', 'application/x-zip-compressed'];
+    const acceptsZip = ZIP_UPLOAD_ROUTES.includes(route);
+    const isTextFile = (TEXT_UPLOAD_EXTENSIONS[route] || [])
+      .includes(path.extname(file.originalname).toLowerCase());
+
+    if (allowedTypes.includes(file.mimetype) || isTextFile || (acceptsZip && zipTypes.includes(file.mimetype))) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, images, Word, PowerPoint, Excel, and HTML files are allowed.'));
+      cb(new Error(`Invalid file type. Only PDF, images, Word, PowerPoint, Excel, HTML, Markdown, text, CSV${acceptsZip ? ', JSON and ZIP' : ' and JSON'} files are allowed.`));
     }
   }
 });
@@ -93,6 +123,8 @@ app.use('/api/convert', convertRoutes);
 app.use('/api/organize', organizeRoutes);
 app.use('/api/edit', editRoutes);
 app.use('/api/security', securityRoutes);
+app.use('/api/image', imageRoutes);
+app.use('/api/archive', archiveRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,108 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { streamZip, uniqueEntryNames } = require('../utils/zip');
+
+const router = express.Router();
+
+const uploadsDir = path.join(__dirname, '../uploads');
+
+// Most files one archive may hold
+const MAX_ARCHIVE_FILES = 500;
+
+// Resolve a result reference ("/uploads/name.pdf", a full URL ending in it,
+// or just "name.pdf") to a file in the uploads folder. Returns null for
+// anything outside it.
+const resolveUpload = (reference) => {
+  const text = String(reference || '').trim();
+  const match = /(?:^|\/uploads\/)([^/\\?#]+)$/.exec(text.split(/[?#]/)[0]);
+  if (!match) return null;
+
+  let name;
+  try {
+    name = decodeURIComponent(match[1]);
+  } catch (decodeError) {
+    return null;
+  }
+  if (name.startsWith('.') || /[/\\]/.test(name)) return null;
+
+  const filePath = path.join(uploadsDir, name);
+  return path.dirname(filePath) === uploadsDir ? filePath : null;
+};
+
+const safeEntryName = (name) => String(name)
+  .replace(/[\\/:*?"<>|\x00-\x1f]+/g, '-')
+  .trim()
+  .slice(0, 200);
+
+// Bundle earlier results into one ZIP that is streamed straight to the
+// client. `files` lists results by their download URL, either as strings or
+// as { url, name } to choose the name inside the archive; `filename` names
+// the archive. Works as a JSON or form POST, or as a GET link with
+// comma-separated files.
+const createArchive = async (req, res) => {
+  try {
+    const input = req.method === 'GET' ? req.query : req.body;
+    let files = input.files;
+    if (typeof files === 'string') {
+      try {
+        files = /^\s*\[/.test(files) ? JSON.parse(files) : files.split(',');
+      } catch (parseError) {
+        return res.status(400).json({ error: 'files must be a JSON array or a comma-separated list' });
+      }
+    }
+
+    if (!Array.isArray(files) || files.length === 0) {
+      return res.status(400).json({ error: 'Please list the files to archive' });
+    }
+
+    if (files.length > MAX_ARCHIVE_FILES) {
+      return res.status(400).json({ error: `An archive can hold at most ${MAX_ARCHIVE_FILES} files` });
+    }
+
+    const entries = files.map(file => {
+      const reference = file && typeof file === 'object' ? (file.url || file.downloadUrl) : file;
+      const filePath = resolveUpload(reference);
+      const name = file && typeof file === 'object' && (file.name || file.filename);
+      return {
+        reference,
+        path: filePath,
+        name: safeEntryName(name || (filePath ? path.basename(filePath) : '')) || 'file'
+      };
+    });
+
+    const missing = entries.filter(entry => !entry.path || !fs.existsSync(entry.path));
+    if (missing.length) {
+      return res.status(404).json({
+        error: 'Some files do not exist or have expired',
+        missing: missing.map(entry => entry.reference)
+      });
+    }
+
+    const names = uniqueEntryNames(entries.map(entry => entry.name));
+    const filename = safeEntryName(input.filename || 'files.zip').replace(/(\.zip)?$/i, '.zip');
+
+    res.attachment(filename);
+    res.type('application/zip');
+
+    try {
+      await streamZip(entries.map((entry, index) => ({ name: names[index], path: entry.path })), res);
+    } catch (streamError) {
+      // Headers are already sent, so the only way to signal failure is to
+      // cut the download short
+      console.error('Archive stream error:', streamError);
+      res.destroy(streamError);
+    }
+
+  } catch (error) {
+    console.error('Archive error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to create archive' });
+    }
+  }
+};
+
+router.get('/', createArchive);
+router.post('/', createArchive);
+
+module.exports = router;
@@ -2,92 +2,184 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const { PDFDocument } = require('pdf-lib');
-
-// Try to load Sharp, fallback to Jimp if Sharp fails
-let sharp;
-try {
-  sharp = require('sharp');
-} catch (error) {
-  console.warn('Sharp not available, using Jimp as fallback for image processing');
-  sharp = null;
-}
-
-const Jimp = require('jimp');
 const mammoth = require('mammoth');
 const XLSX = require('xlsx');
+const JSZip = require('jszip');
+const { parsePageRanges } = require('../utils/pageRanges');
+const {
+  PAGE_SIZES,
+  getPageSize,
+  canDecodeImage,
+  readImageSize,
+  renderImage,
+  addImagePages
+} = require('../utils/images');
+const { rasterizePages } = require('../utils/pdfRaster');
+const { writeZip } = require('../utils/zip');
+const { renderHtmlToPdf, createAssetResolver } = require('../utils/htmlRenderer');
+const { drawTable, fitTableToPage } = require('../utils/pdfTable');
+const {
+  parseLanguages,
+  missingLanguages,
+  createOcrWorker,
+  prepareForOcr,
+  buildSearchablePdf,
+  toHocr,
+  toTsv,
+  toJson
+} = require('../utils/ocr');
+const { convertToPdfA } = require('../utils/pdfa');
+const { parseRange, sheetToTable, tableToSheet } = require('../utils/spreadsheet');
+const { readDataRows, resolveColumns, estimateColumnWidths, drawDataReport } = require('../utils/dataReport');
+const { readPresentation, renderPresentation } = require('../utils/pptx');
+const {
+  readPdfText,
+  groupLines,
+  groupParagraphs,
+  bodyFontSize,
+  headingLevels,
+  detectTables,
+  linesToText,
+  linesToMarkdown,
+  extractPageImages
+} = require('../utils/pdfText');
 
 const router = express.Router();
 
-// Convert JPG/PNG to PDF
+// Convert one or more images (JPEG, PNG, GIF, BMP, WebP or multi-page TIFF) to
+// a single PDF, one image or TIFF page per PDF page
 router.post('/image-to-pdf', async (req, res) => {
   try {
-    req.upload.single('file')(req, res, async (err) => {
+    req.upload.fields([
+      { name: 'file', maxCount: 1 },
+      { name: 'files', maxCount: 50 }
+    ])(req, res, async (err) => {
       if (err) {
         return res.status(400).json({ error: err.message });
       }
 
-      if (!req.file) {
+      const uploadedFiles = [
+        ...((req.files && req.files.file) || []),
+        ...((req.files && req.files.files) || [])
+      ];
+
+      if (uploadedFiles.length === 0) {
         return res.status(400).json({ error: 'No file uploaded' });
       }
 
-      const inputPath = req.file.path;
-      const outputPath = path.join(path.dirname(inputPath), `converted-${Date.now()}.pdf`);
+      const {
+        order,
+        pageSize = 'image',
+        orientation = 'auto',
+        fitMode = 'fit',
+        margin = 0,
+        dpi = 200,
+        imageFormat = 'auto'
+      } = req.body;
+
+      const outputPath = path.join(path.dirname(uploadedFiles[0].path), `converted-${Date.now()}.pdf`);
+
+      const cleanupInputs = () => {
+        uploadedFiles.forEach(file => {
+          if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+        });
+      };
 
       try {
-        let imageBuffer, width, height;
+        // Apply the requested order: a JSON array of 1-based upload positions
+        // or original file names. Files not listed are dropped.
+        let orderedFiles = uploadedFiles;
+        if (order) {
+          let orderList;
+          try {
+            orderList = typeof order === 'string' ? JSON.parse(order) : order;
+          } catch (parseError) {
+            orderList = null;
+          }
 
-        if (sharp) {
-          // Use Sharp for better performance
-          const metadata = await sharp(inputPath).metadata();
-          width = metadata.width;
-          height = metadata.height;
+          if (!Array.isArray(orderList) || orderList.length === 0) {
+            cleanupInputs();
+            return res.status(400).json({ error: 'order must be a JSON array of upload positions or file names' });
+          }
 
-          imageBuffer = await sharp(inputPath)
-            .jpeg({ quality: 90 })
-            .toBuffer();
-        } else {
-          // Fallback to Jimp
-          const image = await Jimp.read(inputPath);
-          width = image.getWidth();
-          height = image.getHeight();
+          orderedFiles = orderList.map(entry => (
+            Number.isInteger(entry)
+              ? uploadedFiles[entry - 1]
+              : uploadedFiles.find(file => file.originalname === entry)
+          ));
+
+          if (orderedFiles.some(file => !file)) {
+            cleanupInputs();
+            return res.status(400).json({ error: 'Order refers to a file that was not uploaded' });
+          }
+        }
 
-          imageBuffer = await image.quality(90).getBufferAsync(Jimp.MIME_JPEG);
+        if (!['fit', 'fill', 'center'].includes(fitMode)) {
+          cleanupInputs();
+          return res.status(400).json({ error: 'fitMode must be one of fit, fill or center' });
         }
 
+        if (!['auto', 'jpeg', 'png'].includes(imageFormat)) {
+          cleanupInputs();
+          return res.status(400).json({ error: 'imageFormat must be one of auto, jpeg or png' });
+        }
+
+        const unreadable = orderedFiles.find(file => !canDecodeImage(file.mimetype));
+        if (unreadable) {
+          cleanupInputs();
+          return res.status(400).json({
+            error: `${unreadable.originalname} is not a supported image (${['image/webp', 'image/avif'].includes(unreadable.mimetype) ? 'WebP and AVIF need sharp' : 'use JPEG, PNG, GIF, BMP, TIFF, WebP or AVIF'})`
+          });
+        }
+
+        if (pageSize !== 'image' && !getPageSize(pageSize)) {
+          cleanupInputs();
+          return res.status(400).json({
+            error: `Unknown page size. Use image or one of ${Object.keys(PAGE_SIZES).join(', ')}`
+          });
+        }
+
+        const marginPoints = Math.max(0, parseFloat(margin) || 0);
+        const targetDpi = Math.max(72, parseInt(dpi) || 200);
+
         // Create PDF document
         const pdfDoc = await PDFDocument.create();
-        const pdfImage = await pdfDoc.embedJpg(imageBuffer);
-        
-        // Create page with original dimensions
-        const page = pdfDoc.addPage([width, height]);
-        
-        // Draw image on page
-        page.drawImage(pdfImage, {
-          x: 0,
-          y: 0,
-          width,
-          height,
-        });
+
+        for (const file of orderedFiles) {
+          // Each page of a multi-page TIFF becomes its own PDF page
+          await addImagePages(pdfDoc, file.path, {
+            pageSize,
+            orientation,
+            fitMode,
+            margin: marginPoints,
+            dpi: targetDpi,
+            imageFormat
+          });
+        }
 
         // Save PDF
         const pdfBytes = await pdfDoc.save();
         fs.writeFileSync(outputPath, pdfBytes);
 
-        // Clean up input file
-        fs.unlinkSync(inputPath);
+        // Clean up input files
+        cleanupInputs();
 
         res.json({
           success: true,
-          message: 'Image converted to PDF successfully',
+          message: orderedFiles.length === 1
+            ? 'Image converted to PDF successfully'
+            : `Converted ${orderedFiles.length} images to PDF successfully`,
           downloadUrl: `/uploads/${path.basename(outputPath)}`,
-          filename: `converted-${req.file.originalname.split('.')[0]}.pdf`
+          filename: `converted-${orderedFiles[0].originalname.split('.')[0]}.pdf`,
+          pageCount: pdfDoc.getPageCount()
         });
 
       } catch (error) {
         // Clean up files on error
-        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+        cleanupInputs();
         if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-        throw error;
+        console.error('Image to PDF conversion error:', error);
+        res.status(500).json({ error: 'Failed to convert image to PDF' });
       }
     });
   } catch (error) {
@@ -96,7 +188,7 @@ router.post('/image-to-pdf', async (req, res) => {
   }
 });
 
-// Convert Word to PDF (simplified - requires LibreOffice in production)
+// Convert Word to PDF, keeping headings, formatting, lists, tables and images
 router.post('/word-to-pdf', async (req, res) => {
   try {
     req.upload.single('file')(req, res, async (err) => {
@@ -112,33 +204,18 @@ router.post('/word-to-pdf', async (req, res) => {
       const outputPath = path.join(path.dirname(inputPath), `converted-${Date.now()}.pdf`);
 
       try {
-        // Extract text from Word document
-        const result = await mammoth.extractRawText({ path: inputPath });
-        const text = result.value;
+        // Convert to HTML so the document structure survives, then lay it out with PDFKit
+        const result = await mammoth.convertToHtml({ path: inputPath }, {
+          styleMap: [
+            "br[type='page'] => hr.page-break"
+          ]
+        });
 
-        // Create PDF using PDFKit
-        const PDFDocument = require('pdfkit');
-        const doc = new PDFDocument({
+        await renderHtmlToPdf(result.value, outputPath, {
           size: 'A4',
           margin: 50
         });
 
-        doc.pipe(fs.createWriteStream(outputPath));
-        
-        // Add text content
-        doc.fontSize(12).text(text, {
-          width: 500,
-          align: 'left'
-        });
-        
-        doc.end();
-
-        // Wait for the PDF to be written
-        await new Promise((resolve, reject) => {
-          doc.on('end', resolve);
-          doc.on('error', reject);
-        });
-
         // Clean up input file
         fs.unlinkSync(inputPath);
 
@@ -153,7 +230,8 @@ router.post('/word-to-pdf', async (req, res) => {
         // Clean up files on error
         if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
         if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-        throw error;
+        console.error('Word to PDF conversion error:', error);
+        res.status(500).json({ error: 'Failed to convert Word document to PDF' });
       }
     });
   } catch (error) {
@@ -162,7 +240,7 @@ router.post('/word-to-pdf', async (req, res) => {
   }
 });
 
-// Convert Excel to PDF
+// Convert Excel to PDF as paginated tables
 router.post('/excel-to-pdf', async (req, res) => {
   try {
     req.upload.single('file')(req, res, async (err) => {
@@ -174,45 +252,140 @@ router.post('/excel-to-pdf', async (req, res) => {
         return res.status(400).json({ error: 'No file uploaded' });
       }
 
+      const {
+        sheets,
+        range,
+        headerRows = 1,
+        orientation = 'auto',
+        fitToWidth = 'true',
+        gridlines = 'true',
+        pageSize = 'A4'
+      } = req.body;
+
       const inputPath = req.file.path;
       const outputPath = path.join(path.dirname(inputPath), `converted-${Date.now()}.pdf`);
 
+      const reject = (message) => {
+        fs.unlinkSync(inputPath);
+        return res.status(400).json({ error: message });
+      };
+
       try {
         // Read Excel file
-        const workbook = XLSX.readFile(inputPath);
-        const sheetNames = workbook.SheetNames;
-        
-        // Convert each sheet to text
-        let textContent = '';
-        sheetNames.forEach((sheetName, index) => {
-          const worksheet = workbook.Sheets[sheetName];
-          const csv = XLSX.utils.sheet_to_csv(worksheet);
-          
-          textContent += `Sheet: ${sheetName}\n\n${csv}\n\n`;
-        });
+        const workbook = XLSX.readFile(inputPath, { cellStyles: true });
+
+        // Sheets can be chosen by name or 1-based position, e.g. "Summary,3"
+        let sheetNames = workbook.SheetNames;
+        if (sheets) {
+          sheetNames = String(sheets).split(',').map(entry => {
+            entry = entry.trim();
+            return workbook.SheetNames.includes(entry)
+              ? entry
+              : workbook.SheetNames[parseInt(entry) - 1];
+          });
+
+          if (sheetNames.some(name => !name)) {
+            return reject('One or more requested sheets do not exist');
+          }
+        }
+
+        // A single range applies to every sheet; a JSON object sets it per sheet
+        let ranges = {};
+        if (range) {
+          let perSheet = null;
+          try {
+            perSheet = JSON.parse(range);
+          } catch (parseError) {
+            // Not JSON, so one A1 range for every sheet
+          }
+
+          if (perSheet === null) {
+            const parsed = parseRange(range);
+            if (!parsed) {
+              return reject(`range "${range}" is not an A1 range such as A1:F40`);
+            }
+            sheetNames.forEach(name => {
+              ranges[name] = parsed;
+            });
+          } else {
+            if (typeof perSheet !== 'object' || Array.isArray(perSheet)) {
+              return reject('range must be an A1 range or a JSON object of sheet names and ranges');
+            }
+            for (const [name, sheetRange] of Object.entries(perSheet)) {
+              if (!workbook.SheetNames.includes(name)) {
+                return reject(`range names sheet "${name}", which does not exist`);
+              }
+              const parsed = parseRange(sheetRange);
+              if (!parsed) {
+                return reject(`range "${sheetRange}" for sheet "${name}" is not an A1 range such as A1:F40`);
+              }
+              ranges[name] = parsed;
+            }
+          }
+        }
+
+        const tables = sheetNames.map(sheetName => sheetToTable(workbook.Sheets[sheetName], ranges[sheetName]));
+        if (tables.every(table => table.rows.length === 0)) {
+          return reject('The selected sheets have no data to convert');
+        }
+
+        const headerRowCount = Math.max(0, parseInt(headerRows) || 0);
+        const fontSize = 9;
 
         // Create PDF using PDFKit
         const PDFDocument = require('pdfkit');
-        const doc = new PDFDocument({
-          size: 'A4',
-          layout: 'landscape',
-          margin: 50
-        });
+        const doc = new PDFDocument({ autoFirstPage: false });
+        const stream = fs.createWriteStream(outputPath);
+
+        doc.pipe(stream);
+
+        sheetNames.forEach((sheetName, sheetIndex) => {
+          const { rows, columnWidths, columnAligns } = tables[sheetIndex];
+
+          const plan = fitTableToPage(columnWidths, {
+            pageSize,
+            orientation,
+            fitToWidth: String(fitToWidth) !== 'false'
+          });
 
-        doc.pipe(fs.createWriteStream(outputPath));
-        
-        // Add text content
-        doc.fontSize(10).text(textContent, {
-          width: 700,
-          align: 'left'
+          // An empty sheet has no columns to lay out, so it gets a single
+          // page with a note
+          if (rows.length === 0) {
+            doc.addPage({ size: plan.size, margin: plan.margin });
+            doc.font('Helvetica-Bold').fontSize(12).text(sheetName);
+            doc.moveDown(0.5);
+            doc.font('Helvetica-Oblique').fontSize(10).text('This sheet is empty.');
+            return;
+          }
+
+          plan.columnGroups.forEach((group, groupIndex) => {
+            doc.addPage({ size: plan.size, margin: plan.margin });
+
+            const title = plan.columnGroups.length > 1
+              ? `${sheetName} (part ${groupIndex + 1} of ${plan.columnGroups.length})`
+              : sheetName;
+            doc.font('Helvetica-Bold').fontSize(12).text(title);
+            doc.moveDown(0.5);
+
+            const widths = group.map(index => columnWidths[index] * plan.scale);
+            drawTable(doc, rows.map(row => group.map(index => row[index])), {
+              width: widths.reduce((a, b) => a + b, 0),
+              columnWidths: widths,
+              columnAligns: group.map(index => columnAligns[index]),
+              headerRows: Math.min(headerRowCount, rows.length),
+              fontSize: Math.max(5, fontSize * plan.scale),
+              padding: Math.max(2, 4 * plan.scale),
+              gridlines: String(gridlines) !== 'false'
+            });
+          });
         });
-        
+
         doc.end();
 
         // Wait for the PDF to be written
         await new Promise((resolve, reject) => {
-          doc.on('end', resolve);
-          doc.on('error', reject);
+          stream.on('finish', resolve);
+          stream.on('error', reject);
         });
 
         // Clean up input file
@@ -222,14 +395,16 @@ router.post('/excel-to-pdf', async (req, res) => {
           success: true,
           message: 'Excel file converted to PDF successfully',
           downloadUrl: `/uploads/${path.basename(outputPath)}`,
-          filename: `converted-${req.file.originalname.split('.')[0]}.pdf`
+          filename: `converted-${req.file.originalname.split('.')[0]}.pdf`,
+          sheets: sheetNames
         });
 
       } catch (error) {
         // Clean up files on error
         if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
         if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-        throw error;
+        console.error('Excel to PDF conversion error:', error);
+        res.status(500).json({ error: 'Failed to convert Excel file to PDF' });
       }
     });
   } catch (error) {
@@ -238,54 +413,192 @@ router.post('/excel-to-pdf', async (req, res) => {
   }
 });
 
-// Convert HTML to PDF
-router.post('/html-to-pdf', async (req, res) => {
+// Turn CSV or JSON rows into a printable PDF report: a title block and a
+// table with a repeating header, striped rows and optional totals. The data
+// comes as an uploaded .csv or .json file, or as JSON in the `data` field.
+router.post('/data-to-pdf', async (req, res) => {
   try {
     req.upload.single('file')(req, res, async (err) => {
       if (err) {
         return res.status(400).json({ error: err.message });
       }
 
-      if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
+      const {
+        data,
+        columns,
+        title,
+        subtitle,
+        groupBy,
+        totals = 'false',
+        zebra = 'true',
+        locale = 'en-US',
+        fontSize = 9,
+        pageSize = 'A4',
+        orientation = 'auto'
+      } = req.body;
+
+      if (!req.file && !data) {
+        return res.status(400).json({ error: 'Upload a CSV or JSON file or send rows in the data field' });
       }
 
-      const inputPath = req.file.path;
-      const outputPath = path.join(path.dirname(inputPath), `converted-${Date.now()}.pdf`);
+      const inputPath = req.file ? req.file.path : null;
+      const outputPath = path.join(req.file ? path.dirname(inputPath) : path.join(__dirname, '../uploads'), `report-${Date.now()}.pdf`);
+
+      const reject = (message) => {
+        if (inputPath && fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+        return res.status(400).json({ error: message });
+      };
 
       try {
-        // Read HTML content
-        const htmlContent = fs.readFileSync(inputPath, 'utf8');
+        let keys, records, columnList;
+        try {
+          if (req.file) {
+            const text = fs.readFileSync(inputPath, 'utf8');
+            const isJson = req.file.mimetype === 'application/json' ||
+              path.extname(req.file.originalname).toLowerCase() === '.json' ||
+              /^\s*[[{]/.test(text);
+            ({ keys, records } = readDataRows(text, isJson ? 'json' : 'csv'));
+          } else {
+            ({ keys, records } = readDataRows(data, 'json'));
+          }
 
-        // Simple HTML to text conversion (basic implementation)
-        const textContent = htmlContent
-          .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '') // Remove scripts
-          .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '') // Remove styles
-          .replace(/<[^>]+>/g, ' ') // Remove HTML tags
-          .replace(/\s+/g, ' ') // Normalize whitespace
-          .trim();
+          const spec = typeof columns === 'string' ? JSON.parse(columns) : columns;
+          if (spec !== undefined && !Array.isArray(spec)) {
+            return reject('columns must be a JSON array of column keys or column objects');
+          }
+          columnList = resolveColumns(keys, records, spec, { sumAll: String(totals) === 'true' });
+        } catch (dataError) {
+          return reject(dataError.message);
+        }
+
+        if (records.length === 0 || columnList.length === 0) {
+          return reject('No rows found in the data');
+        }
+
+        if (groupBy && !keys.includes(groupBy)) {
+          return reject(`groupBy column "${groupBy}" is not in the data`);
+        }
+
+        if (pageSize && !getPageSize(pageSize)) {
+          return reject(`Unknown page size. Use one of ${Object.keys(PAGE_SIZES).join(', ')}`);
+        }
+
+        try {
+          new Intl.NumberFormat(locale);
+        } catch (localeError) {
+          return reject(`Unknown locale "${locale}"`);
+        }
+
+        // Subtotals close each run of equal values, so bring each group
+        // together; the sort is stable and keeps the order within a group
+        if (groupBy) {
+          const collator = new Intl.Collator(locale, { numeric: true });
+          records = [...records].sort((a, b) => collator.compare(String(a[groupBy]), String(b[groupBy])));
+        }
+
+        const baseFontSize = Math.min(14, Math.max(5, parseFloat(fontSize) || 9));
+        const columnWidths = estimateColumnWidths(columnList, records, {
+          fontSize: baseFontSize,
+          locale,
+          groupBy
+        });
+
+        const plan = fitTableToPage(columnWidths, {
+          pageSize,
+          orientation,
+          fitToWidth: true
+        });
 
-        // Create PDF using PDFKit
         const PDFDocument = require('pdfkit');
         const doc = new PDFDocument({
-          size: 'A4',
-          margin: 50
+          size: plan.size,
+          margin: plan.margin,
+          bufferPages: true,
+          info: { Title: title || 'Report' }
         });
-
-        doc.pipe(fs.createWriteStream(outputPath));
-        
-        // Add text content
-        doc.fontSize(12).text(textContent, {
-          width: 500,
-          align: 'left'
+        const stream = fs.createWriteStream(outputPath);
+        doc.pipe(stream);
+
+        drawDataReport(doc, {
+          title,
+          subtitle,
+          columns: columnList,
+          records,
+          groupBy: groupBy || null,
+          zebra: String(zebra) !== 'false',
+          locale,
+          fontSize: Math.max(5, baseFontSize * plan.scale),
+          columnWidths: columnWidths.map(width => width * plan.scale)
         });
-        
+
+        const pageCount = doc.bufferedPageRange().count;
         doc.end();
 
         // Wait for the PDF to be written
         await new Promise((resolve, reject) => {
-          doc.on('end', resolve);
-          doc.on('error', reject);
+          stream.on('finish', resolve);
+          stream.on('error', reject);
+        });
+
+        // Clean up input file
+        if (inputPath) fs.unlinkSync(inputPath);
+
+        res.json({
+          success: true,
+          message: 'Report created successfully',
+          downloadUrl: `/uploads/${path.basename(outputPath)}`,
+          filename: `${req.file ? req.file.originalname.split('.')[0] : 'data'}-report.pdf`,
+          rowCount: records.length,
+          columns: columnList.map(column => column.label),
+          pageCount
+        });
+
+      } catch (error) {
+        // Clean up files on error
+        if (inputPath && fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        console.error('Data to PDF conversion error:', error);
+        res.status(500).json({ error: 'Failed to create PDF report' });
+      }
+    });
+  } catch (error) {
+    console.error('Data to PDF conversion error:', error);
+    res.status(500).json({ error: 'Failed to create PDF report' });
+  }
+});
+
+// Convert PowerPoint (.pptx) to PDF, one landscape page per slide
+router.post('/ppt-to-pdf', async (req, res) => {
+  try {
+    req.upload.single('file')(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      const { includeNotes = 'false' } = req.body;
+      const inputPath = req.file.path;
+      const outputPath = path.join(path.dirname(inputPath), `converted-${Date.now()}.pdf`);
+
+      try {
+        // Legacy binary .ppt files are not Open XML and cannot be read here
+        if (/\.ppt$/i.test(req.file.originalname) || req.file.mimetype === 'application/vnd.ms-powerpoint') {
+          fs.unlinkSync(inputPath);
+          return res.status(400).json({ error: 'Only .pptx presentations are supported. Please save the file as .pptx first.' });
+        }
+
+        const presentation = await readPresentation(fs.readFileSync(inputPath));
+
+        if (presentation.slides.length === 0) {
+          fs.unlinkSync(inputPath);
+          return res.status(400).json({ error: 'The presentation has no slides' });
+        }
+
+        await renderPresentation(presentation, outputPath, {
+          includeNotes: String(includeNotes) === 'true'
         });
 
         // Clean up input file
@@ -293,16 +606,131 @@ router.post('/html-to-pdf', async (req, res) => {
 
         res.json({
           success: true,
-          message: 'HTML file converted to PDF successfully',
+          message: `Converted ${presentation.slides.length} slides to PDF successfully`,
           downloadUrl: `/uploads/${path.basename(outputPath)}`,
-          filename: `converted-${req.file.originalname.split('.')[0]}.pdf`
+          filename: `converted-${req.file.originalname.split('.')[0]}.pdf`,
+          slideCount: presentation.slides.length
         });
 
       } catch (error) {
         // Clean up files on error
         if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
         if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-        throw error;
+        console.error('PowerPoint to PDF conversion error:', error);
+        res.status(500).json({ error: 'Failed to convert PowerPoint file to PDF' });
+      }
+    });
+  } catch (error) {
+    console.error('PowerPoint to PDF conversion error:', error);
+    res.status(500).json({ error: 'Failed to convert PowerPoint file to PDF' });
+  }
+});
+
+// Convert HTML to PDF, keeping its layout and basic CSS. Images can be data URIs
+// or relative paths to files sent alongside as `assets`, or the page and its
+// images can be uploaded together as a ZIP.
+router.post('/html-to-pdf', async (req, res) => {
+  try {
+    req.upload.fields([
+      { name: 'file', maxCount: 1 },
+      { name: 'assets', maxCount: 50 }
+    ])(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const file = req.files && req.files.file && req.files.file[0];
+      const assetFiles = (req.files && req.files.assets) || [];
+
+      if (!file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      const { pageSize = 'A4', margin = 50 } = req.body;
+
+      const inputPath = file.path;
+      const outputPath = path.join(path.dirname(inputPath), `converted-${Date.now()}.pdf`);
+
+      const cleanupInputs = () => {
+        [file, ...assetFiles].forEach(upload => {
+          if (fs.existsSync(upload.path)) fs.unlinkSync(upload.path);
+        });
+      };
+
+      try {
+        let htmlContent;
+        // Relative image paths (normalised, without "./") mapped to a loader
+        const assets = new Map();
+
+        if (/\.zip$/i.test(file.originalname) || /zip/.test(file.mimetype)) {
+          const zip = await JSZip.loadAsync(fs.readFileSync(inputPath));
+          const htmlEntries = Object.keys(zip.files).filter(name => /\.html?$/i.test(name) && !zip.files[name].dir);
+          const htmlEntry = htmlEntries.find(name => /(^|\/)index\.html?$/i.test(name)) || htmlEntries[0];
+
+          if (!htmlEntry) {
+            cleanupInputs();
+            return res.status(400).json({ error: 'The ZIP archive does not contain an HTML file' });
+          }
+
+          htmlContent = await zip.file(htmlEntry).async('string');
+          const baseDir = path.posix.dirname(htmlEntry);
+          Object.keys(zip.files).forEach(name => {
+            if (zip.files[name].dir) return;
+            const relative = baseDir === '.' ? name : path.posix.relative(baseDir, name);
+            assets.set(relative, () => zip.file(name).async('nodebuffer'));
+          });
+        } else {
+          htmlContent = fs.readFileSync(inputPath, 'utf8');
+        }
+
+        assetFiles.forEach(asset => {
+          assets.set(asset.originalname, async () => fs.readFileSync(asset.path));
+        });
+
+        const size = getPageSize(pageSize);
+        if (!size) {
+          cleanupInputs();
+          return res.status(400).json({
+            error: `Unknown page size. Use one of ${Object.keys(PAGE_SIZES).join(', ')}`
+          });
+        }
+
+        // Margins are a single number of points or "top,right,bottom,left"
+        const marginValues = String(margin).split(',').map(value => (value.trim() === '' ? NaN : Number(value)));
+        if (![1, 4].includes(marginValues.length) || marginValues.some(value => isNaN(value) || value < 0)) {
+          cleanupInputs();
+          return res.status(400).json({ error: 'Margin must be a number or "top,right,bottom,left" in points' });
+        }
+        const [top, right, bottom, left] = marginValues.length === 4 ? marginValues : new Array(4).fill(marginValues[0]);
+        // Keep at least an inch of the page for content
+        if (size[0] - left - right < 72 || size[1] - top - bottom < 72) {
+          cleanupInputs();
+          return res.status(400).json({ error: `Margins must leave at least 72pt of the ${pageSize} page for content` });
+        }
+        const margins = marginValues.length === 4 ? { top, right, bottom, left } : top;
+
+        await renderHtmlToPdf(htmlContent, outputPath, {
+          size,
+          margin: margins,
+          resolveImage: createAssetResolver(assets)
+        });
+
+        // Clean up input files
+        cleanupInputs();
+
+        res.json({
+          success: true,
+          message: 'HTML file converted to PDF successfully',
+          downloadUrl: `/uploads/${path.basename(outputPath)}`,
+          filename: `converted-${file.originalname.split('.')[0]}.pdf`
+        });
+
+      } catch (error) {
+        // Clean up files on error
+        cleanupInputs();
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        console.error('HTML to PDF conversion error:', error);
+        res.status(500).json({ error: 'Failed to convert HTML file to PDF' });
       }
     });
   } catch (error) {
@@ -311,7 +739,117 @@ router.post('/html-to-pdf', async (req, res) => {
   }
 });
 
-// Convert PDF to JPG
+// Convert Markdown to PDF (headings, emphasis, lists, code blocks, tables,
+// links and images sent alongside as `assets`), or plain text with its line
+// breaks kept in a monospace font
+router.post('/markdown-to-pdf', async (req, res) => {
+  try {
+    req.upload.fields([
+      { name: 'file', maxCount: 1 },
+      { name: 'assets', maxCount: 50 }
+    ])(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const file = req.files && req.files.file && req.files.file[0];
+      const assetFiles = (req.files && req.files.assets) || [];
+
+      if (!file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      // .txt and .log files default to plain text, everything else to Markdown
+      const {
+        mode = /\.(txt|log)$/i.test(file.originalname) ? 'text' : 'markdown',
+        pageSize = 'A4',
+        margin = 50,
+        fontSize
+      } = req.body;
+
+      const inputPath = file.path;
+      const outputPath = path.join(path.dirname(inputPath), `converted-${Date.now()}.pdf`);
+
+      const cleanupInputs = () => {
+        [file, ...assetFiles].forEach(upload => {
+          if (fs.existsSync(upload.path)) fs.unlinkSync(upload.path);
+        });
+      };
+
+      try {
+        if (!['markdown', 'text'].includes(mode)) {
+          cleanupInputs();
+          return res.status(400).json({ error: 'Mode must be markdown or text' });
+        }
+
+        if (!getPageSize(pageSize)) {
+          cleanupInputs();
+          return res.status(400).json({
+            error: `Unknown page size. Use one of ${Object.keys(PAGE_SIZES).join(', ')}`
+          });
+        }
+
+        const marginPoints = parseFloat(margin);
+        if (isNaN(marginPoints) || marginPoints < 0) {
+          cleanupInputs();
+          return res.status(400).json({ error: 'Margin must be a number of points' });
+        }
+
+        // Strip a byte order mark and normalise line endings
+        const content = fs.readFileSync(inputPath, 'utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+        let htmlContent;
+        if (mode === 'text') {
+          // Tabs are expanded to 8 columns; <pre> keeps the line breaks and
+          // long lines wrap at the page margin
+          const expanded = content.split('\n').map(line => line.replace(/[^\t]*\t/g, (chunk) => {
+            const text = chunk.slice(0, -1);
+            return text + ' '.repeat(8 - (text.length % 8));
+          })).join('\n');
+          const escaped = expanded.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+          htmlContent = `<pre>${escaped}</pre>`;
+        } else {
+          const { marked } = require('marked');
+          htmlContent = marked.parse(content, { gfm: true });
+        }
+
+        const assets = new Map();
+        assetFiles.forEach(asset => {
+          assets.set(asset.originalname, async () => fs.readFileSync(asset.path));
+        });
+
+        await renderHtmlToPdf(htmlContent, outputPath, {
+          size: getPageSize(pageSize),
+          margin: marginPoints,
+          fontSize: parseFloat(fontSize) || (mode === 'text' ? 9 : 11),
+          resolveImage: createAssetResolver(assets)
+        });
+
+        // Clean up input files
+        cleanupInputs();
+
+        res.json({
+          success: true,
+          message: `${mode === 'text' ? 'Text' : 'Markdown'} file converted to PDF successfully`,
+          downloadUrl: `/uploads/${path.basename(outputPath)}`,
+          filename: `converted-${path.parse(file.originalname).name}.pdf`
+        });
+
+      } catch (error) {
+        // Clean up files on error
+        cleanupInputs();
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        console.error('Markdown to PDF conversion error:', error);
+        res.status(500).json({ error: 'Failed to convert file to PDF' });
+      }
+    });
+  } catch (error) {
+    console.error('Markdown to PDF conversion error:', error);
+    res.status(500).json({ error: 'Failed to convert file to PDF' });
+  }
+});
+
+// Convert PDF pages to JPG/PNG images
 router.post('/pdf-to-jpg', async (req, res) => {
   try {
     req.upload.single('file')(req, res, async (err) => {
@@ -323,22 +861,78 @@ router.post('/pdf-to-jpg', async (req, res) => {
         return res.status(400).json({ error: 'No file uploaded' });
       }
 
+      const {
+        pages = 'all',
+        format = 'jpg',
+        dpi = 150,
+        quality = 90
+      } = req.body;
+
       const inputPath = req.file.path;
-      
+      const outputDir = path.dirname(inputPath);
+      const timestamp = Date.now();
+      const zipPath = path.join(outputDir, `images-${timestamp}.zip`);
+      const baseName = req.file.originalname.split('.')[0];
+      let images = [];
+
       try {
-        // Note: This is a simplified implementation
-        // In production, you would use pdf2pic or similar library
-        // For now, we'll create a placeholder response
-        
+        const imageFormat = String(format).toLowerCase() === 'png' ? 'png' : 'jpg';
+        const density = Math.min(600, Math.max(36, parseInt(dpi) || 150));
+        const imageQuality = Math.min(100, Math.max(1, parseInt(quality) || 90));
+
+        const pdf = await PDFDocument.load(fs.readFileSync(inputPath));
+        const totalPages = pdf.getPageCount();
+        const pageIndices = [...new Set(parsePageRanges(pages, totalPages))];
+
+        if (pageIndices.length === 0) {
+          fs.unlinkSync(inputPath);
+          return res.status(400).json({ error: 'No valid pages specified for conversion' });
+        }
+
+        images = await rasterizePages(inputPath, pageIndices, {
+          dpi: density,
+          format: imageFormat,
+          quality: imageQuality,
+          outputDir,
+          baseName: `page-${timestamp}`
+        });
+
+        const files = images.map(image => ({
+          filename: `${baseName}-page-${image.pageNumber}.${imageFormat}`,
+          downloadUrl: `/uploads/${path.basename(image.path)}`,
+          pageNumber: image.pageNumber,
+          width: image.width,
+          height: image.height
+        }));
+
+        await writeZip(
+          images.map((image, index) => ({ name: files[index].filename, path: image.path })),
+          zipPath
+        );
+
+        // Clean up input file
+        fs.unlinkSync(inputPath);
+
         res.json({
           success: true,
-          message: 'PDF to JPG conversion initiated. This feature requires additional setup for production use.',
-          note: 'Please install pdf2pic and poppler-utils for full PDF to image conversion functionality'
+          message: `Converted ${files.length} pages to ${imageFormat.toUpperCase()}`,
+          downloadUrl: `/uploads/${path.basename(zipPath)}`,
+          filename: `${baseName}-images.zip`,
+          files,
+          originalPageCount: totalPages,
+          format: imageFormat,
+          dpi: density
         });
 
       } catch (error) {
+        // Clean up files on error
         if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-        throw error;
+        if (fs.existsSync(zipPath)) fs.unlinkSync(zipPath);
+        images.forEach(image => {
+          if (fs.existsSync(image.path)) fs.unlinkSync(image.path);
+        });
+        console.error('PDF to JPG conversion error:', error);
+        res.status(500).json({ error: 'Failed to convert PDF to JPG' });
       }
     });
   } catch (error) {
@@ -347,105 +941,226 @@ router.post('/pdf-to-jpg', async (req, res) => {
   }
 });
 
-// Convert Image to Text (OCR)
+// OCR output formats and their file extensions
+const OCR_OUTPUTS = {
+  text: 'txt',
+  pdf: 'pdf',
+  hocr: 'hocr',
+  tsv: 'tsv',
+  json: 'json'
+};
+
+// Extract text from scanned images or a scanned PDF with OCR. output=pdf
+// returns a searchable PDF: the original pages with an invisible text layer.
+// hocr, tsv and json give word positions and confidences for each page.
 router.post('/image-to-text', async (req, res) => {
   try {
-    req.upload.single('file')(req, res, async (err) => {
+    req.upload.fields([
+      { name: 'file', maxCount: 1 },
+      { name: 'files', maxCount: 50 }
+    ])(req, res, async (err) => {
       if (err) {
         return res.status(400).json({ error: err.message });
       }
 
-      if (!req.file) {
+      const uploadedFiles = [
+        ...((req.files && req.files.file) || []),
+        ...((req.files && req.files.files) || [])
+      ];
+
+      if (uploadedFiles.length === 0) {
         return res.status(400).json({ error: 'No file uploaded' });
       }
 
-      const inputPath = req.file.path;
-      const outputPath = path.join(path.dirname(inputPath), `extracted-${Date.now()}.txt`);
+      const {
+        output = 'text',
+        dpi = 300,
+        languages = 'eng',
+        psm = 6,
+        whitelist
+      } = req.body;
+      const outputFormat = String(output).toLowerCase();
+      const ocrLanguages = parseLanguages(languages);
+      const pageSegMode = parseInt(psm);
+
+      const reject = (message) => {
+        uploadedFiles.forEach(file => fs.unlinkSync(file.path));
+        return res.status(400).json({ error: message });
+      };
+
+      if (!OCR_OUTPUTS[outputFormat]) {
+        return reject('Output must be text, pdf, hocr, tsv or json');
+      }
+
+      if (!ocrLanguages) {
+        return reject('Languages must be Tesseract language codes such as eng, fra or eng+yor');
+      }
+
+      const missing = missingLanguages(ocrLanguages);
+      if (missing.length) {
+        return reject(`No traineddata installed for: ${missing.join(', ')}`);
+      }
+
+      // Modes 0 and 2 only detect orientation and layout, without any text
+      if (!Number.isInteger(pageSegMode) || pageSegMode < 1 || pageSegMode > 13 || pageSegMode === 2) {
+        return reject('PSM must be a page segmentation mode between 1 and 13 (except 2)');
+      }
+
+      const ocrParameters = { tessedit_pageseg_mode: String(pageSegMode) };
+      if (whitelist) {
+        ocrParameters.tessedit_char_whitelist = String(whitelist);
+      }
+
+      const resolution = Math.min(Math.max(parseInt(dpi) || 300, 72), 600);
+      const outputDir = path.dirname(uploadedFiles[0].path);
+      const extension = OCR_OUTPUTS[outputFormat];
+      const outputPath = path.join(outputDir, `extracted-${Date.now()}.${extension}`);
+      const baseName = path.parse(uploadedFiles[0].originalname).name;
+      const tempPaths = [];
+
+      const cleanup = () => {
+        [...uploadedFiles.map(file => file.path), ...tempPaths].forEach(filePath => {
+          if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        });
+      };
 
       try {
-        // Try Tesseract.js OCR
-        let extractedText = '';
-        let confidence = 0;
-        
+        // Scanned PDFs are rendered to images first; each becomes one page
+        const sources = [];
+        for (const file of uploadedFiles) {
+          if (file.mimetype === 'application/pdf') {
+            const pdf = await PDFDocument.load(fs.readFileSync(file.path), { ignoreEncryption: true });
+            const rendered = await rasterizePages(file.path, pdf.getPageIndices(), {
+              dpi: resolution,
+              format: 'jpg',
+              baseName: `ocr-${Date.now()}`
+            });
+            rendered.forEach(page => {
+              tempPaths.push(page.path);
+              sources.push({ path: page.path, name: `${file.originalname} page ${page.pageNumber}` });
+            });
+          } else {
+            sources.push({ path: file.path, name: file.originalname });
+          }
+        }
+
+        const pages = [];
+        let ocrError = null;
+
         try {
           console.log('Attempting OCR with Tesseract.js...');
-          
-          // Preprocess image for better OCR results
-          const processedImagePath = path.join(path.dirname(inputPath), `processed-${Date.now()}.png`);
-          
-          if (sharp) {
-            await sharp(inputPath)
-              .resize(null, 2000, { withoutEnlargement: true })
-              .sharpen()
-              .png({ quality: 100 })
-              .toFile(processedImagePath);
-          } else {
-            // Fallback to Jimp for preprocessing
-            const image = await Jimp.read(inputPath);
-            if (image.getHeight() > 2000) {
-              image.resize(Jimp.AUTO, 2000);
+
+          const worker = await createOcrWorker({
+            languages: ocrLanguages,
+            parameters: ocrParameters
+          });
+
+          try {
+            for (const source of sources) {
+              // Preprocess image for better OCR results
+              const processedImagePath = path.join(outputDir, `processed-${Date.now()}.png`);
+              tempPaths.push(processedImagePath);
+              const ocrSize = await prepareForOcr(source.path, processedImagePath);
+              const size = await readImageSize(source.path);
+
+              const { data } = await worker.recognize(processedImagePath);
+              fs.unlinkSync(processedImagePath);
+
+              pages.push({ source, size, ocrSize, data });
+              console.log(`OCR page ${pages.length} done, confidence:`, data.confidence);
             }
-            await image.writeAsync(processedImagePath);
+          } finally {
+            await worker.terminate();
           }
+        } catch (error) {
+          ocrError = error;
+        }
 
-          const { createWorker } = require('tesseract.js');
-          
-          const worker = await createWorker({
-            logger: m => console.log('OCR Progress:', m.status, m.progress)
-          });
-          
-          await worker.loadLanguage('eng');
-          await worker.initialize('eng');
-          
-          await worker.setParameters({
-            tessedit_char_whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz .,!?-()[]{}:;"\'',
-            tessedit_pageseg_mode: '6',
-          });
-          
-          const { data } = await worker.recognize(processedImagePath);
-          extractedText = data.text;
-          confidence = data.confidence;
-          
-          await worker.terminate();
-          
-          // Clean up processed image
-          if (fs.existsSync(processedImagePath)) fs.unlinkSync(processedImagePath);
-          
-          console.log('OCR successful, confidence:', confidence);
-          
-        } catch (ocrError) {
+        // Only plain text has a fallback; other formats need real OCR results
+        if (ocrError && outputFormat !== 'text') throw ocrError;
+
+        if (outputFormat === 'pdf') {
+          const pdfPages = [];
+          for (const page of pages) {
+            pdfPages.push({
+              image: await renderImage(page.source.path, { quality: 85 }),
+              pageWidth: page.size.width * 72 / resolution,
+              pageHeight: page.size.height * 72 / resolution,
+              ocrWidth: page.ocrSize.width,
+              ocrHeight: page.ocrSize.height,
+              words: page.data.words
+            });
+          }
+
+          fs.writeFileSync(outputPath, await buildSearchablePdf(pdfPages));
+        } else if (outputFormat !== 'text') {
+          const structuredPages = pages.map((page, index) => ({
+            pageNumber: index + 1,
+            source: page.source.name,
+            width: page.size.width,
+            height: page.size.height,
+            ocrWidth: page.ocrSize.width,
+            ocrHeight: page.ocrSize.height,
+            data: page.data
+          }));
+
+          if (outputFormat === 'hocr') {
+            fs.writeFileSync(outputPath, toHocr(structuredPages));
+          } else if (outputFormat === 'tsv') {
+            fs.writeFileSync(outputPath, toTsv(structuredPages));
+          } else {
+            fs.writeFileSync(outputPath, JSON.stringify(toJson(structuredPages), null, 2));
+          }
+        }
+
+        let extractedText = pages.map(page => page.data.text.trim()).join('\n\n');
+        let confidence = pages.length
+          ? pages.reduce((sum, page) => sum + page.data.confidence, 0) / pages.length
+          : 0;
+
+        if (ocrError) {
           console.error('Tesseract.js failed, using fallback:', ocrError.message);
-          
+
           // Fallback: Return a message indicating OCR setup needed
-          extractedText = `OCR processing failed. This feature requires additional setup in production.\n\nError: ${ocrError.message}\n\nTo enable OCR functionality, ensure Tesseract.js can properly initialize and download language data.`;
+          extractedText = `OCR processing failed. This feature requires additional setup in production.\n\nError: ${ocrError.message}\n\nTo enable OCR functionality, ensure Tesseract.js can download language data or set TESSDATA_PATH to a folder of traineddata files.`;
           confidence = 0;
         }
 
-        // Save extracted text to file
-        fs.writeFileSync(outputPath, extractedText);
+        if (outputFormat === 'text') {
+          // Save extracted text to file
+          fs.writeFileSync(outputPath, extractedText);
+        }
 
-        // Clean up input file
-        fs.unlinkSync(inputPath);
+        // Clean up input and intermediate files
+        cleanup();
 
-        const message = confidence > 0 
-          ? `Text extracted from image successfully (Confidence: ${confidence.toFixed(1)}%)`
+        const message = !ocrError
+          ? `Text extracted from ${pages.length} page${pages.length === 1 ? '' : 's'} successfully (Confidence: ${confidence.toFixed(1)}%)`
           : 'OCR processing completed (requires additional setup for full functionality)';
 
         res.json({
           success: true,
           message: message,
           downloadUrl: `/uploads/${path.basename(outputPath)}`,
-          filename: `extracted-${req.file.originalname.split('.')[0]}.txt`,
-          extractedText: extractedText.substring(0, 500) + (extractedText.length > 500 ? '...' : ''),
-          confidence: confidence
+          filename: outputFormat === 'pdf' ? `${baseName}-searchable.pdf` : `extracted-${baseName}.${extension}`,
+          extractedText: extractedText,
+          confidence: confidence,
+          languages: ocrLanguages,
+          psm: pageSegMode,
+          pages: pages.map((page, index) => ({
+            pageNumber: index + 1,
+            source: page.source.name,
+            confidence: page.data.confidence,
+            words: page.data.words.length
+          }))
         });
 
       } catch (error) {
-        console.error('Image to Text conversion error:', error);
         // Clean up files on error
-        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+        cleanup();
         if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-        throw error;
+        console.error('Image to Text conversion error:', error);
+        res.status(500).json({ error: 'Failed to extract text from image' });
       }
     });
   } catch (error) {
@@ -454,7 +1169,8 @@ router.post('/image-to-text', async (req, res) => {
   }
 });
 
-// Convert PDF to Word
+// Convert PDF to Word, rebuilding paragraphs, headings, page breaks, simple
+// tables and embedded images from the positioned text on each page
 router.post('/pdf-to-word', async (req, res) => {
   try {
     req.upload.single('file')(req, res, async (err) => {
@@ -466,39 +1182,129 @@ router.post('/pdf-to-word', async (req, res) => {
         return res.status(400).json({ error: 'No file uploaded' });
       }
 
+      const { pages = 'all', includeImages = 'true' } = req.body;
       const inputPath = req.file.path;
       const outputPath = path.join(path.dirname(inputPath), `converted-${Date.now()}.docx`);
 
       try {
-        // For now, we'll create a placeholder response
-        // In production, you would use libraries like pdf2docx or mammoth for conversion
-        
-        // Read PDF content (basic text extraction)
-        const pdfParse = require('pdf-parse');
         const dataBuffer = fs.readFileSync(inputPath);
-        const data = await pdfParse(dataBuffer);
-        
-        // Create a simple Word document structure
+        const pdf = await PDFDocument.load(dataBuffer, { ignoreEncryption: true });
+        const pageIndices = parsePageRanges(pages, pdf.getPageCount());
+
+        if (pageIndices.length === 0) {
+          fs.unlinkSync(inputPath);
+          return res.status(400).json({ error: 'No valid pages specified for conversion' });
+        }
+
+        const textPages = await readPdfText(dataBuffer, pageIndices);
+        const images = String(includeImages) !== 'false'
+          ? await extractPageImages(dataBuffer, pageIndices)
+          : new Map();
+
         const docx = require('docx');
-        const { Document, Packer, Paragraph, TextRun } = docx;
-
-        const doc = new Document({
-          sections: [{
-            properties: {},
-            children: [
-              new Paragraph({
-                children: [
-                  new TextRun({
-                    text: data.text,
-                    font: "Arial",
-                    size: 24,
-                  }),
-                ],
-              }),
-            ],
-          }],
+        const {
+          Document, Packer, Paragraph, TextRun, HeadingLevel, ImageRun,
+          Table, TableRow, TableCell, WidthType, PageOrientation
+        } = docx;
+
+        // Heading levels are decided across the whole document
+        const pageLines = textPages.map(page => groupLines(page.items));
+        const allLines = pageLines.flat();
+        const bodySize = bodyFontSize(allLines);
+        const headingFor = headingLevels(allLines, bodySize);
+        const headingStyles = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3];
+
+        const toParagraph = (paragraph) => {
+          const level = headingFor(paragraph.fontSize);
+          const run = new TextRun({
+            text: paragraph.text,
+            bold: paragraph.bold || undefined,
+            size: Math.round(paragraph.fontSize * 2),
+            font: 'Arial'
+          });
+          return level
+            ? new Paragraph({ heading: headingStyles[level - 1], children: [run] })
+            : new Paragraph({ children: [run], spacing: { after: 120 } });
+        };
+
+        const toTable = (table) => {
+          const totalWidth = table.columns.reduce((sum, col) => sum + (col.right - col.left), 0) || 1;
+          return new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            columnWidths: table.columns.map(col => Math.round((col.right - col.left) / totalWidth * 9000)),
+            rows: table.rows.map(row => new TableRow({
+              children: row.map(cell => new TableCell({
+                children: [new Paragraph({
+                  children: [new TextRun({ text: cell, size: Math.round(bodySize * 2), font: 'Arial' })]
+                })]
+              }))
+            }))
+          });
+        };
+
+        // One section per PDF page keeps page breaks and page sizes
+        const sections = textPages.map((page, index) => {
+          const lines = pageLines[index];
+          const tables = detectTables(lines);
+          const children = [];
+          let pending = [];
+
+          const flushText = () => {
+            groupParagraphs(pending).forEach(paragraph => children.push(toParagraph(paragraph)));
+            pending = [];
+          };
+
+          for (let i = 0; i < lines.length; i++) {
+            const table = tables.find(t => t.startLine === i);
+            if (table) {
+              flushText();
+              children.push(toTable(table));
+              i = table.endLine;
+            } else {
+              pending.push(lines[i]);
+            }
+          }
+          flushText();
+
+          (images.get(pageIndices[index]) || []).forEach(image => {
+            // Fit within the text width (about 600px at 96 DPI)
+            const scale = Math.min(1, 600 / image.width);
+            children.push(new Paragraph({
+              children: [new ImageRun({
+                data: image.data,
+                transformation: {
+                  width: Math.round(image.width * scale),
+                  height: Math.round(image.height * scale)
+                }
+              })]
+            }));
+          });
+
+          if (children.length === 0) {
+            children.push(new Paragraph({ children: [] }));
+          }
+
+          // Sizes are in twentieths of a point; docx swaps them back for landscape
+          const landscape = page.width > page.height;
+          const shortSide = Math.round(Math.min(page.width, page.height) * 20);
+          const longSide = Math.round(Math.max(page.width, page.height) * 20);
+
+          return {
+            properties: {
+              page: {
+                size: {
+                  width: landscape ? shortSide : Math.round(page.width * 20),
+                  height: landscape ? longSide : Math.round(page.height * 20),
+                  orientation: landscape ? PageOrientation.LANDSCAPE : PageOrientation.PORTRAIT
+                }
+              }
+            },
+            children
+          };
         });
 
+        const doc = new Document({ sections });
+
         const buffer = await Packer.toBuffer(doc);
         fs.writeFileSync(outputPath, buffer);
 
@@ -509,14 +1315,16 @@ router.post('/pdf-to-word', async (req, res) => {
           success: true,
           message: 'PDF converted to Word successfully',
           downloadUrl: `/uploads/${path.basename(outputPath)}`,
-          filename: `converted-${req.file.originalname.split('.')[0]}.docx`
+          filename: `converted-${req.file.originalname.split('.')[0]}.docx`,
+          pageCount: textPages.length
         });
 
       } catch (error) {
         // Clean up files on error
         if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
         if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-        throw error;
+        console.error('PDF to Word conversion error:', error);
+        res.status(500).json({ error: 'Failed to convert PDF to Word' });
       }
     });
   } catch (error) {
@@ -525,4 +1333,279 @@ router.post('/pdf-to-word', async (req, res) => {
   }
 });
 
+// Extract text from a PDF as plain text or Markdown, either as one file with
+// page separators or as a JSON array with one entry per page
+router.post('/pdf-to-text', async (req, res) => {
+  try {
+    req.upload.single('file')(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      const {
+        pages = 'all',
+        mode = 'text',
+        output = 'text',
+        separator = '\n\n--- Page {page} ---\n\n'
+      } = req.body;
+      const inputPath = req.file.path;
+
+      if (!['text', 'markdown'].includes(mode) || !['text', 'json'].includes(output)) {
+        fs.unlinkSync(inputPath);
+        return res.status(400).json({ error: 'Mode must be text or markdown, and output text or json' });
+      }
+
+      const extension = output === 'json' ? 'json' : (mode === 'markdown' ? 'md' : 'txt');
+      const outputPath = path.join(path.dirname(inputPath), `extracted-${Date.now()}.${extension}`);
+
+      try {
+        const dataBuffer = fs.readFileSync(inputPath);
+        const pdf = await PDFDocument.load(dataBuffer, { ignoreEncryption: true });
+        const pageIndices = parsePageRanges(pages, pdf.getPageCount());
+
+        if (pageIndices.length === 0) {
+          fs.unlinkSync(inputPath);
+          return res.status(400).json({ error: 'No valid pages specified for extraction' });
+        }
+
+        const textPages = await readPdfText(dataBuffer, pageIndices);
+        const pageLines = textPages.map(page => groupLines(page.items));
+
+        // Heading levels are decided across all extracted pages
+        const allLines = pageLines.flat();
+        const headingFor = headingLevels(allLines, bodyFontSize(allLines));
+
+        const results = textPages.map((page, index) => ({
+          pageNumber: page.pageNumber,
+          text: mode === 'markdown'
+            ? linesToMarkdown(pageLines[index], headingFor)
+            : linesToText(pageLines[index])
+        }));
+
+        if (output === 'json') {
+          fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
+        } else {
+          fs.writeFileSync(outputPath, results.map((result, index) => (
+            index === 0 ? result.text : `${String(separator).replace(/\{page\}/g, result.pageNumber)}${result.text}`
+          )).join('') + '\n');
+        }
+
+        // Clean up input file
+        fs.unlinkSync(inputPath);
+
+        const characters = results.reduce((sum, result) => sum + result.text.length, 0);
+
+        res.json({
+          success: true,
+          message: `Extracted text from ${results.length} page${results.length === 1 ? '' : 's'}`,
+          downloadUrl: `/uploads/${path.basename(outputPath)}`,
+          filename: `${path.parse(req.file.originalname).name}.${extension}`,
+          pageCount: results.length,
+          characters,
+          // Scanned pages have no text layer; OCR is needed for those
+          emptyPages: results.filter(result => !result.text.trim()).map(result => result.pageNumber)
+        });
+
+      } catch (error) {
+        // Clean up files on error
+        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        console.error('PDF to Text conversion error:', error);
+        res.status(500).json({ error: 'Failed to extract text from PDF' });
+      }
+    });
+  } catch (error) {
+    console.error('PDF to Text conversion error:', error);
+    res.status(500).json({ error: 'Failed to extract text from PDF' });
+  }
+});
+
+// Extract tables from a PDF into an Excel workbook (one sheet per table) or CSV
+router.post('/pdf-to-excel', async (req, res) => {
+  try {
+    req.upload.single('file')(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      const { pages = 'all', format = 'xlsx' } = req.body;
+      const outputFormat = String(format).toLowerCase() === 'csv' ? 'csv' : 'xlsx';
+      const inputPath = req.file.path;
+      const baseName = path.parse(req.file.originalname).name;
+      const outputDir = path.dirname(inputPath);
+      const outputPath = path.join(outputDir, `tables-${Date.now()}.${outputFormat === 'csv' ? 'zip' : 'xlsx'}`);
+      const csvPaths = [];
+
+      try {
+        const dataBuffer = fs.readFileSync(inputPath);
+        const pdf = await PDFDocument.load(dataBuffer, { ignoreEncryption: true });
+        const pageIndices = parsePageRanges(pages, pdf.getPageCount());
+
+        if (pageIndices.length === 0) {
+          fs.unlinkSync(inputPath);
+          return res.status(400).json({ error: 'No valid pages specified for extraction' });
+        }
+
+        const textPages = await readPdfText(dataBuffer, pageIndices);
+        const tables = [];
+        textPages.forEach(page => {
+          detectTables(groupLines(page.items)).forEach((table, index) => {
+            tables.push({
+              name: `Page ${page.pageNumber} Table ${index + 1}`,
+              pageNumber: page.pageNumber,
+              rows: table.rows
+            });
+          });
+        });
+
+        if (tables.length === 0) {
+          fs.unlinkSync(inputPath);
+          return res.status(400).json({ error: 'No tables found on the selected pages' });
+        }
+
+        let downloadPath = outputPath;
+        let filename = `${baseName}-tables.${outputFormat === 'csv' ? 'zip' : 'xlsx'}`;
+
+        if (outputFormat === 'csv') {
+          tables.forEach((table, index) => {
+            const csvPath = path.join(outputDir, `table-${Date.now()}-${index + 1}.csv`);
+            fs.writeFileSync(csvPath, XLSX.utils.sheet_to_csv(tableToSheet(table.rows)));
+            csvPaths.push(csvPath);
+          });
+
+          if (tables.length === 1) {
+            // A single table is returned as a plain CSV file
+            downloadPath = csvPaths[0];
+            filename = `${baseName}-table.csv`;
+          } else {
+            await writeZip(
+              tables.map((table, index) => ({
+                name: `${baseName}-page${table.pageNumber}-table${index + 1}.csv`,
+                path: csvPaths[index]
+              })),
+              outputPath
+            );
+            csvPaths.forEach(csvPath => fs.unlinkSync(csvPath));
+          }
+        } else {
+          const workbook = XLSX.utils.book_new();
+          tables.forEach(table => {
+            XLSX.utils.book_append_sheet(workbook, tableToSheet(table.rows), table.name);
+          });
+          XLSX.writeFile(workbook, outputPath);
+        }
+
+        // Clean up input file
+        fs.unlinkSync(inputPath);
+
+        res.json({
+          success: true,
+          message: `Extracted ${tables.length} table${tables.length === 1 ? '' : 's'} from PDF`,
+          downloadUrl: `/uploads/${path.basename(downloadPath)}`,
+          filename,
+          tables: tables.map(table => ({
+            name: table.name,
+            pageNumber: table.pageNumber,
+            rows: table.rows.length,
+            columns: table.rows[0].length
+          }))
+        });
+
+      } catch (error) {
+        // Clean up files on error
+        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        csvPaths.forEach(csvPath => {
+          if (fs.existsSync(csvPath)) fs.unlinkSync(csvPath);
+        });
+        console.error('PDF to Excel conversion error:', error);
+        res.status(500).json({ error: 'Failed to convert PDF to Excel' });
+      }
+    });
+  } catch (error) {
+    console.error('PDF to Excel conversion error:', error);
+    res.status(500).json({ error: 'Failed to convert PDF to Excel' });
+  }
+});
+
+// Convert a PDF to PDF/A-1b or PDF/A-2b for archiving. Anything that could
+// not be fixed automatically is listed in `problems`.
+router.post('/pdf-to-pdfa', async (req, res) => {
+  try {
+    req.upload.single('file')(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      const { conformance = '2b' } = req.body;
+      const inputPath = req.file.path;
+      const outputPath = path.join(path.dirname(inputPath), `pdfa-${Date.now()}.pdf`);
+
+      try {
+        const level = String(conformance).toLowerCase().replace(/^pdf\/?a-?/, '');
+        if (!['1b', '2b'].includes(level)) {
+          fs.unlinkSync(inputPath);
+          return res.status(400).json({ error: 'Conformance must be 1b or 2b' });
+        }
+
+        let pdf;
+        try {
+          // Keep the original creator; the producer is set during conversion
+          pdf = await PDFDocument.load(fs.readFileSync(inputPath), { updateMetadata: false });
+        } catch (error) {
+          if (error.constructor && error.constructor.name === 'EncryptedPDFError') {
+            fs.unlinkSync(inputPath);
+            return res.status(400).json({ error: 'Encrypted PDFs cannot be converted to PDF/A. Unlock the file first.' });
+          }
+          throw error;
+        }
+
+        const { fixed, problems } = convertToPdfA(pdf, { part: parseInt(level) });
+
+        // PDF/A-1 predates object streams, so write a classic cross-reference table
+        const pdfBytes = await pdf.save({ useObjectStreams: false });
+        fs.writeFileSync(outputPath, pdfBytes);
+
+        // Clean up input file
+        fs.unlinkSync(inputPath);
+
+        res.json({
+          success: true,
+          message: problems.length
+            ? `Converted to PDF/A-${level} with ${problems.length} remaining problem${problems.length === 1 ? '' : 's'}`
+            : `Converted to PDF/A-${level} successfully`,
+          downloadUrl: `/uploads/${path.basename(outputPath)}`,
+          filename: `${path.parse(req.file.originalname).name}-pdfa.pdf`,
+          conformance: `PDF/A-${level}`,
+          compliant: problems.length === 0,
+          fixed,
+          problems
+        });
+
+      } catch (error) {
+        // Clean up files on error
+        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        console.error('PDF to PDF/A conversion error:', error);
+        res.status(500).json({ error: 'Failed to convert PDF to PDF/A' });
+      }
+    });
+  } catch (error) {
+    console.error('PDF to PDF/A conversion error:', error);
+    res.status(500).json({ error: 'Failed to convert PDF to PDF/A' });
+  }
+});
+
 module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const { readOutline, setOutline, remapOutline, nestOutline } = require('../utils/outline');
+const { readPdfText, groupLines, groupParagraphs, bodyFontSize, headingLevels } = require('../utils/pdfText');
 
 const router = express.Router();
 
@@ -400,4 +402,326 @@ router.post('/compress', async (req, res) => {
   }
 });
 
+// Bookmarks as the API shows them: 1-based pages (null for bookmarks that
+// lead outside the document) and ids such as "2.1" giving each item's
+// position in the tree
+const outlineToJson = (items, prefix = '') => items.map((item, index) => {
+  const id = `${prefix}${index + 1}`;
+  return {
+    id,
+    title: item.title,
+    page: item.pageIndex === null ? null : item.pageIndex + 1,
+    children: outlineToJson(item.children, `${id}.`)
+  };
+});
+
+const countBookmarks = (items) => items.reduce((count, item) => count + 1 + countBookmarks(item.children), 0);
+
+// Read a bookmark tree sent by the client, [{ title, page, children }], into
+// outline items. Items with a null page are dropped when the outline is
+// written. Returns { items } or { error }.
+const outlineFromJson = (list, pageCount, prefix = '') => {
+  if (!Array.isArray(list)) {
+    return { error: `Bookmarks${prefix ? ` under ${prefix.slice(0, -1)}` : ''} must be an array` };
+  }
+
+  const items = [];
+  for (let index = 0; index < list.length; index++) {
+    const entry = list[index] || {};
+    const id = `${prefix}${index + 1}`;
+    const title = typeof entry.title === 'string' ? entry.title.trim() : '';
+    const page = entry.page === null ? null : Number(entry.page);
+
+    if (!title) {
+      return { error: `Bookmark ${id} needs a title` };
+    }
+    if (page !== null && !(Number.isInteger(page) && page >= 1 && page <= pageCount)) {
+      return { error: `Bookmark ${id} points at page ${entry.page}; the PDF has ${pageCount} pages` };
+    }
+
+    const children = outlineFromJson(entry.children || [], pageCount, `${id}.`);
+    if (children.error) return children;
+    items.push({ title, pageIndex: page === null ? null : page - 1, children: children.items });
+  }
+  return { items };
+};
+
+// Find the list holding the item with the given id ("2.1"). Returns
+// { list, index } or null.
+const findBookmark = (items, id) => {
+  const positions = String(id || '').split('.').map(part => parseInt(part) - 1);
+  let list = items;
+  for (let depth = 0; depth < positions.length; depth++) {
+    const index = positions[depth];
+    if (!(index >= 0 && index < list.length)) return null;
+    if (depth === positions.length - 1) return { list, index };
+    list = list[index].children;
+  }
+  return null;
+};
+
+// Apply edits to outline items in place. Each edit is
+// { action: 'add', title, page, parent, position }, { action: 'update', id,
+// title, page } or { action: 'remove', id }; ids refer to the outline as it
+// stands when that edit runs. Returns an error message or null.
+const applyBookmarkEdits = (items, edits, pageCount) => {
+  if (!Array.isArray(edits)) return 'edits must be an array';
+
+  for (let n = 0; n < edits.length; n++) {
+    const edit = edits[n] || {};
+    const label = `Edit ${n + 1}`;
+    const page = edit.page === undefined ? undefined : Number(edit.page);
+
+    if (page !== undefined && !(Number.isInteger(page) && page >= 1 && page <= pageCount)) {
+      return `${label} points at page ${edit.page}; the PDF has ${pageCount} pages`;
+    }
+    if (edit.title !== undefined && !(typeof edit.title === 'string' && edit.title.trim())) {
+      return `${label} has an empty title`;
+    }
+
+    if (edit.action === 'add') {
+      if (!edit.title || page === undefined) {
+        return `${label} needs a title and a page to add a bookmark`;
+      }
+
+      let list = items;
+      if (edit.parent) {
+        const parent = findBookmark(items, edit.parent);
+        if (!parent) return `${label}: there is no bookmark ${edit.parent}`;
+        list = parent.list[parent.index].children;
+      }
+      const position = edit.position === undefined ? list.length : parseInt(edit.position) - 1;
+      if (!(position >= 0 && position <= list.length)) {
+        return `${label}: position must be between 1 and ${list.length + 1}`;
+      }
+      list.splice(position, 0, { title: edit.title.trim(), pageIndex: page - 1, children: [] });
+    } else if (edit.action === 'update' || edit.action === 'remove') {
+      const found = findBookmark(items, edit.id);
+      if (!found) return `${label}: there is no bookmark ${edit.id}`;
+
+      if (edit.action === 'remove') {
+        found.list.splice(found.index, 1);
+      } else {
+        const item = found.list[found.index];
+        if (edit.title !== undefined) item.title = edit.title.trim();
+        if (page !== undefined) item.pageIndex = page - 1;
+      }
+    } else {
+      return `${label}: action must be add, update or remove`;
+    }
+  }
+  return null;
+};
+
+// Outline entries for the headings found in a PDF's text, down to `levels`
+// heading levels (1-3). Headings are lines set larger than the body text.
+const headingOutline = async (buffer, levels) => {
+  const textPages = await readPdfText(buffer);
+  const pageLines = textPages.map(page => groupLines(page.items));
+  const allLines = pageLines.flat();
+  const headingFor = headingLevels(allLines, bodyFontSize(allLines));
+
+  const entries = [];
+  pageLines.forEach((lines, pageIndex) => {
+    groupParagraphs(lines).forEach(paragraph => {
+      const level = headingFor(paragraph.fontSize);
+      if (level && level <= levels) {
+        entries.push({ title: paragraph.text.slice(0, 200), pageIndex, level });
+      }
+    });
+  });
+  return nestOutline(entries);
+};
+
+// Read a PDF's bookmarks as a JSON tree. Nothing is written; the upload is
+// removed straight away.
+router.post('/bookmarks', async (req, res) => {
+  try {
+    req.upload.single('file')(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'No PDF file uploaded' });
+      }
+
+      const inputPath = req.file.path;
+
+      try {
+        const pdf = await PDFDocument.load(fs.readFileSync(inputPath));
+        const bookmarks = outlineToJson(readOutline(pdf));
+        const bookmarkCount = countBookmarks(bookmarks);
+
+        // Clean up input file
+        fs.unlinkSync(inputPath);
+
+        res.json({
+          success: true,
+          message: bookmarkCount ? `Found ${bookmarkCount} bookmark${bookmarkCount === 1 ? '' : 's'}` : 'This PDF has no bookmarks',
+          pageCount: pdf.getPageCount(),
+          bookmarkCount,
+          bookmarks
+        });
+
+      } catch (error) {
+        // Clean up files on error
+        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+        console.error('Read bookmarks error:', error);
+        res.status(500).json({ error: 'Failed to read PDF bookmarks' });
+      }
+    });
+  } catch (error) {
+    console.error('Read bookmarks error:', error);
+    res.status(500).json({ error: 'Failed to read PDF bookmarks' });
+  }
+});
+
+// Write a PDF's bookmarks. mode=replace takes a whole tree in `bookmarks`
+// (an empty array removes them), mode=edit applies `edits` to the existing
+// outline, and mode=auto builds one: source=headings from text set larger
+// than the body (down to `levels`), or source=files from the uploaded PDFs,
+// joined in order with one bookmark per file and each file's own bookmarks
+// nested under it.
+router.post('/set-bookmarks', async (req, res) => {
+  try {
+    req.upload.fields([
+      { name: 'file', maxCount: 1 },
+      { name: 'files', maxCount: 50 }
+    ])(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const uploadedFiles = [
+        ...((req.files && req.files.file) || []),
+        ...((req.files && req.files.files) || [])
+      ];
+
+      if (uploadedFiles.length === 0) {
+        return res.status(400).json({ error: 'No PDF file uploaded' });
+      }
+
+      const { mode = 'replace', bookmarks, edits, source = 'headings', levels = '2' } = req.body;
+      const outputPath = path.join(path.dirname(uploadedFiles[0].path), `bookmarked-${Date.now()}.pdf`);
+
+      const cleanupInputs = () => {
+        uploadedFiles.forEach(file => {
+          if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+        });
+      };
+
+      const reject = (message) => {
+        cleanupInputs();
+        return res.status(400).json({ error: message });
+      };
+
+      const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+      const headingDepth = parseInt(levels);
+
+      if (!['replace', 'edit', 'auto'].includes(mode)) {
+        return reject('mode must be replace, edit or auto');
+      }
+      if (mode === 'auto' && !['headings', 'files'].includes(source)) {
+        return reject('source must be headings or files');
+      }
+      if (mode === 'auto' && source === 'headings' && !(headingDepth >= 1 && headingDepth <= 3)) {
+        return reject('levels must be 1, 2 or 3');
+      }
+      if (uploadedFiles.length > 1 && !(mode === 'auto' && source === 'files')) {
+        return reject('Upload one PDF, or several with mode=auto and source=files');
+      }
+
+      try {
+        let pdf;
+        let outline;
+
+        if (mode === 'auto' && source === 'files') {
+          pdf = await PDFDocument.create();
+          outline = [];
+          for (const file of uploadedFiles) {
+            const sourcePdf = await PDFDocument.load(fs.readFileSync(file.path));
+            const start = pdf.getPageCount();
+            const copiedPages = await pdf.copyPages(sourcePdf, sourcePdf.getPageIndices());
+            copiedPages.forEach(page => pdf.addPage(page));
+
+            const shift = (items) => items.map(item => ({
+              title: item.title,
+              pageIndex: item.pageIndex + start,
+              children: shift(item.children)
+            }));
+            outline.push({
+              title: file.originalname.replace(/\.pdf$/i, ''),
+              pageIndex: start,
+              children: shift(remapOutline(readOutline(sourcePdf), sourcePdf.getPageIndices()))
+            });
+          }
+        } else {
+          const pdfBytes = fs.readFileSync(uploadedFiles[0].path);
+          pdf = await PDFDocument.load(pdfBytes);
+          const pageCount = pdf.getPageCount();
+
+          if (mode === 'replace') {
+            let tree;
+            try {
+              tree = parseJson(bookmarks === undefined ? '[]' : bookmarks);
+            } catch (parseError) {
+              return reject('bookmarks is not valid JSON');
+            }
+            const parsed = outlineFromJson(tree, pageCount);
+            if (parsed.error) return reject(parsed.error);
+            outline = parsed.items;
+          } else if (mode === 'edit') {
+            let editList;
+            try {
+              editList = parseJson(edits);
+            } catch (parseError) {
+              return reject('edits is not valid JSON');
+            }
+            outline = readOutline(pdf);
+            const error = applyBookmarkEdits(outline, editList, pageCount);
+            if (error) return reject(error);
+          } else {
+            outline = await headingOutline(pdfBytes, headingDepth);
+            if (outline.length === 0) {
+              return reject('No headings were found in this PDF\'s text');
+            }
+          }
+        }
+
+        setOutline(pdf, outline);
+
+        const pdfBytes = await pdf.save();
+        fs.writeFileSync(outputPath, pdfBytes);
+
+        // Clean up input files
+        cleanupInputs();
+
+        // Report the outline as it was written
+        const written = outlineToJson(readOutline(pdf));
+        const bookmarkCount = countBookmarks(written);
+        res.json({
+          success: true,
+          message: bookmarkCount ? `Wrote ${bookmarkCount} bookmark${bookmarkCount === 1 ? '' : 's'}` : 'Removed all bookmarks',
+          downloadUrl: `/uploads/${path.basename(outputPath)}`,
+          filename: `bookmarked-${uploadedFiles[0].originalname}`,
+          pageCount: pdf.getPageCount(),
+          bookmarkCount,
+          bookmarks: written
+        });
+
+      } catch (error) {
+        // Clean up files on error
+        cleanupInputs();
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        console.error('Set bookmarks error:', error);
+        res.status(500).json({ error: 'Failed to write PDF bookmarks' });
+      }
+    });
+  } catch (error) {
+    console.error('Set bookmarks error:', error);
+    res.status(500).json({ error: 'Failed to write PDF bookmarks' });
+  }
+});
+
 module.exports = router;
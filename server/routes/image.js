@@ -0,0 +1,312 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const {
+  OUTPUT_FORMATS,
+  FORMAT_EXTENSIONS,
+  canDecodeImage,
+  canEncodeImage,
+  detectImageFormat,
+  defaultOutputFormat,
+  readImageSize,
+  transformImage,
+  fitImageToSize,
+  stripMetadataLossless
+} = require('../utils/images');
+const { writeZip, uniqueEntryNames } = require('../utils/zip');
+
+const router = express.Router();
+
+// Read the optional format and quality shared by every tool. An empty format
+// keeps each image's own format. Returns { format, quality } or { error }.
+const parseOutput = ({ format, quality = 90 }) => {
+  let outputFormat = null;
+  if (format) {
+    outputFormat = String(format).toLowerCase() === 'jpg' ? 'jpeg' : String(format).toLowerCase();
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      return { error: `format must be one of ${OUTPUT_FORMATS.join(', ')}` };
+    }
+    if (!canEncodeImage(outputFormat)) {
+      return { error: 'WebP and AVIF output needs sharp, which is not available on this server' };
+    }
+  }
+
+  return {
+    format: outputFormat,
+    quality: Math.min(100, Math.max(1, parseInt(quality) || 90))
+  };
+};
+
+const outputFormatFor = (file, options) => (
+  options.format || defaultOutputFormat(detectImageFormat(file.path))
+);
+
+// Shared flow for the image tools: every uploaded image ('file', or up to 50
+// 'files') gets the same operation. A single image is returned directly;
+// several are also bundled into a ZIP.
+//
+// tool.parseOptions(body) returns the operation's options or { error };
+// tool.checkFile(file, options), when given, returns a message for an image
+// the options cannot apply to; tool.processFile(file, options) returns
+// { buffer, format, width, height } plus any details to report for the image.
+const imageTool = (tool) => async (req, res) => {
+  try {
+    req.upload.fields([
+      { name: 'file', maxCount: 1 },
+      { name: 'files', maxCount: 50 }
+    ])(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const uploadedFiles = [
+        ...((req.files && req.files.file) || []),
+        ...((req.files && req.files.files) || [])
+      ];
+
+      if (uploadedFiles.length === 0) {
+        return res.status(400).json({ error: 'No image uploaded' });
+      }
+
+      const outputDir = path.dirname(uploadedFiles[0].path);
+      const timestamp = Date.now();
+      const zipPath = path.join(outputDir, `images-${timestamp}.zip`);
+      const outputs = [];
+
+      const cleanupInputs = () => {
+        uploadedFiles.forEach(file => {
+          if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+        });
+      };
+
+      const reject = (message) => {
+        cleanupInputs();
+        return res.status(400).json({ error: message });
+      };
+
+      try {
+        const unreadable = uploadedFiles.find(file => !canDecodeImage(file.mimetype));
+        if (unreadable) {
+          return reject(`${unreadable.originalname} is not a supported image (${['image/webp', 'image/avif'].includes(unreadable.mimetype) ? 'WebP and AVIF need sharp' : 'use JPEG, PNG, GIF, BMP, TIFF, WebP or AVIF'})`);
+        }
+
+        const options = tool.parseOptions(req.body);
+        if (options.error) {
+          return reject(options.error);
+        }
+
+        if (tool.checkFile) {
+          for (const file of uploadedFiles) {
+            const problem = await tool.checkFile(file, options);
+            if (problem) return reject(`${file.originalname}: ${problem}`);
+          }
+        }
+
+        for (const [index, file] of uploadedFiles.entries()) {
+          const { buffer, format, width, height, ...details } = await tool.processFile(file, options);
+          const extension = FORMAT_EXTENSIONS[format];
+          const outputPath = path.join(outputDir, `${tool.prefix}-${timestamp}-${index + 1}.${extension}`);
+          fs.writeFileSync(outputPath, buffer);
+
+          outputs.push({
+            path: outputPath,
+            filename: `${path.parse(file.originalname).name}-${tool.prefix}.${extension}`,
+            downloadUrl: `/uploads/${path.basename(outputPath)}`,
+            format,
+            width,
+            height,
+            size: buffer.length,
+            originalSize: file.size,
+            ...details
+          });
+        }
+
+        // Names inside the ZIP must be unique
+        uniqueEntryNames(outputs.map(output => output.filename)).forEach((name, index) => {
+          outputs[index].filename = name;
+        });
+        if (outputs.length > 1) {
+          await writeZip(outputs.map(output => ({ name: output.filename, path: output.path })), zipPath);
+        }
+
+        // Clean up input files
+        cleanupInputs();
+
+        res.json({
+          success: true,
+          message: `${tool.done} ${outputs.length} image${outputs.length === 1 ? '' : 's'} successfully`,
+          downloadUrl: outputs.length > 1 ? `/uploads/${path.basename(zipPath)}` : outputs[0].downloadUrl,
+          filename: outputs.length > 1 ? `${tool.prefix}-images.zip` : outputs[0].filename,
+          files: outputs.map(({ path: outputPath, ...output }) => output)
+        });
+
+      } catch (error) {
+        // Clean up files on error
+        cleanupInputs();
+        outputs.forEach(output => {
+          if (fs.existsSync(output.path)) fs.unlinkSync(output.path);
+        });
+        if (fs.existsSync(zipPath)) fs.unlinkSync(zipPath);
+        console.error(`${tool.label} error:`, error);
+        res.status(500).json({ error: tool.failure });
+      }
+    });
+  } catch (error) {
+    console.error(`${tool.label} error:`, error);
+    res.status(500).json({ error: tool.failure });
+  }
+};
+
+// Convert images to JPEG, PNG, WebP or AVIF
+router.post('/convert', imageTool({
+  label: 'Image conversion',
+  failure: 'Failed to convert image',
+  done: 'Converted',
+  prefix: 'converted',
+  parseOptions: (body) => {
+    if (!body.format) return { error: 'format is required' };
+    return parseOutput(body);
+  },
+  processFile: (file, options) => transformImage(file.path, options)
+}));
+
+// Resize images to a width and/or height, or shrink them until they fit a
+// file-size budget (maxKB) by lowering the quality and then the dimensions
+router.post('/resize', imageTool({
+  label: 'Image resize',
+  failure: 'Failed to resize image',
+  done: 'Resized',
+  prefix: 'resized',
+  parseOptions: (body) => {
+    const { width, height, fit = 'inside', maxKB } = body;
+    const output = parseOutput(body);
+    if (output.error) return output;
+
+    const targetWidth = parseInt(width) || null;
+    const targetHeight = parseInt(height) || null;
+    const maxBytes = maxKB ? Math.round(parseFloat(maxKB) * 1024) : null;
+
+    if (!targetWidth && !targetHeight && !maxBytes) {
+      return { error: 'Give a width, a height or a maxKB size budget' };
+    }
+    if ([targetWidth, targetHeight].some(size => size !== null && (size < 1 || size > 10000))) {
+      return { error: 'width and height must be between 1 and 10000 pixels' };
+    }
+    if (maxBytes !== null && !(maxBytes > 0)) {
+      return { error: 'maxKB must be a positive number' };
+    }
+    if (!['inside', 'cover', 'contain', 'fill'].includes(fit)) {
+      return { error: 'fit must be one of inside, cover, contain or fill' };
+    }
+
+    return {
+      ...output,
+      resize: targetWidth || targetHeight ? { width: targetWidth, height: targetHeight, fit } : null,
+      maxBytes
+    };
+  },
+  processFile: (file, options) => {
+    const settings = { ...options, format: outputFormatFor(file, options) };
+    return options.maxBytes
+      ? fitImageToSize(file.path, settings, options.maxBytes)
+      : transformImage(file.path, settings);
+  }
+}));
+
+// Crop images to a box in pixels (left, top, width, height) or to the largest
+// centred area with an aspect ratio such as "16:9"
+router.post('/crop', imageTool({
+  label: 'Image crop',
+  failure: 'Failed to crop image',
+  done: 'Cropped',
+  prefix: 'cropped',
+  parseOptions: (body) => {
+    const { left = 0, top = 0, width, height, aspectRatio } = body;
+    const output = parseOutput(body);
+    if (output.error) return output;
+
+    if (aspectRatio) {
+      const match = /^\s*(\d+(?:\.\d+)?)\s*[:x/]\s*(\d+(?:\.\d+)?)\s*$/.exec(aspectRatio);
+      if (!match || !(parseFloat(match[1]) > 0) || !(parseFloat(match[2]) > 0)) {
+        return { error: 'aspectRatio must look like 16:9' };
+      }
+      return { ...output, aspectRatio: parseFloat(match[1]) / parseFloat(match[2]) };
+    }
+
+    const box = {
+      left: parseInt(left) || 0,
+      top: parseInt(top) || 0,
+      width: parseInt(width),
+      height: parseInt(height)
+    };
+    if (!(box.width > 0) || !(box.height > 0) || box.left < 0 || box.top < 0) {
+      return { error: 'Give a crop width and height (and optionally left and top) in pixels, or an aspectRatio' };
+    }
+    return { ...output, crop: box };
+  },
+  checkFile: async (file, options) => {
+    if (!options.crop) return null;
+    const { width, height } = await readImageSize(file.path);
+    return options.crop.left >= width || options.crop.top >= height
+      ? `crop area is outside the ${width}x${height} image`
+      : null;
+  },
+  processFile: async (file, options) => {
+    let crop = options.crop;
+    if (options.aspectRatio) {
+      const { width, height } = await readImageSize(file.path);
+      const cropWidth = Math.min(width, Math.round(height * options.aspectRatio));
+      const cropHeight = Math.min(height, Math.round(width / options.aspectRatio));
+      crop = {
+        left: Math.floor((width - cropWidth) / 2),
+        top: Math.floor((height - cropHeight) / 2),
+        width: cropWidth,
+        height: cropHeight
+      };
+    }
+    return transformImage(file.path, { ...options, format: outputFormatFor(file, options), crop });
+  }
+}));
+
+// Turn images upright using their EXIF orientation, then rotate them
+// clockwise by angle (0, 90, 180 or 270). The pixels are re-encoded.
+router.post('/rotate', imageTool({
+  label: 'Image rotation',
+  failure: 'Failed to rotate image',
+  done: 'Rotated',
+  prefix: 'rotated',
+  parseOptions: (body) => {
+    const { angle = 0 } = body;
+    const output = parseOutput(body);
+    if (output.error) return output;
+
+    const degrees = ((parseInt(angle) || 0) % 360 + 360) % 360;
+    if (degrees % 90 !== 0) {
+      return { error: 'angle must be a multiple of 90 degrees' };
+    }
+    return { ...output, angle: degrees };
+  },
+  processFile: (file, options) => transformImage(file.path, { ...options, format: outputFormatFor(file, options) })
+}));
+
+// Remove EXIF (including GPS), XMP, IPTC and comments. JPEG, PNG and WebP keep
+// their pixels untouched where possible; other images are re-encoded.
+router.post('/strip-metadata', imageTool({
+  label: 'Image metadata removal',
+  failure: 'Failed to remove image metadata',
+  done: 'Cleaned',
+  prefix: 'clean',
+  parseOptions: parseOutput,
+  processFile: async (file, options) => {
+    const stripped = !options.format && stripMetadataLossless(file.path);
+    if (stripped) {
+      const { width, height } = await readImageSize(file.path);
+      return { buffer: stripped, format: detectImageFormat(file.path), width, height, lossless: true };
+    }
+
+    const result = await transformImage(file.path, { ...options, format: outputFormatFor(file, options) });
+    return { ...result, lossless: false };
+  }
+}));
+
+module.exports = router;
@@ -2,14 +2,137 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const { PDFDocument } = require('pdf-lib');
+const { parsePageRanges } = require('../utils/pageRanges');
+const { readOutline, setOutline, remapOutline } = require('../utils/outline');
+const { findBlankPages, findBarcodePages } = require('../utils/pageScan');
+const { writeZip, uniqueEntryNames } = require('../utils/zip');
+const { PAGE_SIZES, getPageSize, canDecodeImage, addImagePages } = require('../utils/images');
+const { NUP_LAYOUTS, READING_ORDERS, imposeNup, imposeBooklet } = require('../utils/imposition');
 
 const router = express.Router();
 
-// Merge multiple PDFs
+// Most files one merge accepts; set MERGE_MAX_FILES to change it
+const MERGE_MAX_FILES = parseInt(process.env.MERGE_MAX_FILES) || 50;
+
+// Read a merge spec into a list of { file, pages } entries, where file is an
+// uploaded file and pages a page selection such as "3-7" or "all". The spec is
+// either text like "file2: 3-7, file1: all" (entries separated by commas or
+// semicolons; a source is fileN, N or an uploaded file name, and a source on
+// its own means all pages) or a JSON array of { file, pages, title } objects.
+// After a page list a bare number is another page, so "file1: 1, 3" takes
+// two pages of file1; "file1: 1, file3" takes page 1 and then all of file3.
+// Returns { entries } or { error }.
+const parseMergeSpec = (spec, files) => {
+  const findFile = (source) => {
+    const text = String(source).trim();
+    const position = /^(?:file\s*)?(\d+)$/i.exec(text);
+    if (position) return files[parseInt(position[1]) - 1];
+    return files.find(file => file.originalname === text);
+  };
+
+  let items;
+  if (typeof spec !== 'string') {
+    items = spec;
+  } else if (/^\s*\[/.test(spec)) {
+    try {
+      items = JSON.parse(spec);
+    } catch (parseError) {
+      return { error: 'Merge spec is not valid JSON' };
+    }
+  } else {
+    // A comma starts a new entry when a "source:" or a known source follows,
+    // so page lists like "file1: 1,3,5" stay together
+    items = [];
+    spec.split(';').forEach(group => {
+      let current = null;
+      group.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const colon = part.lastIndexOf(':');
+        if (colon !== -1) {
+          current = { file: part.slice(0, colon).trim(), pages: part.slice(colon + 1).trim() || 'all' };
+          items.push(current);
+        } else if (current && current.pages !== 'all' && !(/\D/.test(part) && findFile(part))) {
+          // Anything but fileN or a file name continues the page list
+          current.pages += `,${part}`;
+        } else {
+          current = { file: part, pages: 'all' };
+          items.push(current);
+        }
+      });
+    });
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'Merge spec must list at least one source' };
+  }
+
+  const entries = [];
+  for (const item of items) {
+    const source = item && typeof item === 'object' ? item.file : item;
+    const file = findFile(source);
+    if (!file) {
+      return { error: `Merge spec refers to "${source}", which was not uploaded` };
+    }
+
+    const pages = item && typeof item === 'object' && item.pages !== undefined ? String(item.pages) : 'all';
+    const badToken = pages.trim().toLowerCase() === 'all'
+      ? null
+      : pages.split(',').map(token => token.trim()).find(token => !/^(?:\d+|\d*\s*-\s*\d*)$/.test(token));
+    if (badToken !== undefined && badToken !== null) {
+      return { error: `Merge spec has "${badToken}" in the pages of "${source}", which is not a page number or range` };
+    }
+
+    entries.push({
+      file,
+      pages,
+      title: item && typeof item === 'object' && item.title ? String(item.title) : null
+    });
+  }
+  return { entries };
+};
+
+// Make text safe to use as a file name
+const safeFilename = (name) => String(name)
+  .replace(/[\\/:*?"<>|\x00-\x1f]+/g, '-')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, 200);
+
+// Fill in a file name template. {name} is the first source's name, {count}
+// the number of sources, {pages} the page count, {date} today as YYYY-MM-DD
+// and {timestamp} the time stamp of the file on disk. Characters that are not
+// safe in file names are replaced and ".pdf" is added when missing.
+const applyFilenameTemplate = (template, values) => {
+  const name = String(template).replace(/\{(\w+)\}/g, (match, key) => (
+    values[key] === undefined ? match : String(values[key])
+  ));
+  const safe = safeFilename(name) || 'merged';
+  return /\.pdf$/i.test(safe) ? safe : `${safe}.pdf`;
+};
+
+// Copy the given 0-based pages of `pdf` into a new document, in that order,
+// with the bookmarks that point at them
+const copyPagesWithOutline = async (pdf, pageIndices, outline) => {
+  const newPdf = await PDFDocument.create();
+  const copiedPages = await newPdf.copyPages(pdf, pageIndices);
+  copiedPages.forEach(page => newPdf.addPage(page));
+  if (outline) {
+    setOutline(newPdf, remapOutline(outline, pageIndices));
+  }
+  return newPdf;
+};
+
+// Merge multiple PDFs. An optional spec picks the order of the sources and the
+// pages taken from each; every source gets a bookmark at its first page.
+// filenameTemplate only names the download (the response's filename): the
+// file on disk keeps a unique merged-<timestamp>.pdf name, since the uploads
+// folder is shared between requests.
 router.post('/merge', async (req, res) => {
   try {
-    req.upload.array('files', 10)(req, res, async (err) => {
+    req.upload.array('files', MERGE_MAX_FILES)(req, res, async (err) => {
       if (err) {
+        if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+          return res.status(400).json({ error: `You can merge at most ${MERGE_MAX_FILES} files at once` });
+        }
         return res.status(400).json({ error: err.message });
       }
 
@@ -17,18 +140,70 @@ router.post('/merge', async (req, res) => {
         return res.status(400).json({ error: 'Please upload at least 2 PDF files to merge' });
       }
 
-      const outputPath = path.join(path.dirname(req.files[0].path), `merged-${Date.now()}.pdf`);
+      const {
+        spec,
+        bookmarks = 'true',
+        filenameTemplate = 'merged-{timestamp}'
+      } = req.body;
+
+      const timestamp = Date.now();
+      const outputPath = path.join(path.dirname(req.files[0].path), `merged-${timestamp}.pdf`);
+
+      const cleanupInputs = () => {
+        req.files.forEach(file => {
+          if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+          }
+        });
+      };
 
       try {
+        let entries = req.files.map(file => ({ file, pages: 'all', title: null }));
+        if (spec) {
+          const parsed = parseMergeSpec(spec, req.files);
+          if (parsed.error) {
+            cleanupInputs();
+            return res.status(400).json({ error: parsed.error });
+          }
+          entries = parsed.entries;
+        }
+
         // Create a new PDF document
         const mergedPdf = await PDFDocument.create();
+        const outline = [];
+        const sources = [];
+        const loaded = new Map();
 
-        // Process each uploaded PDF
-        for (const file of req.files) {
-          const pdfBytes = fs.readFileSync(file.path);
-          const pdf = await PDFDocument.load(pdfBytes);
-          const copiedPages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
+        for (const entry of entries) {
+          // A file listed more than once is only read once
+          if (!loaded.has(entry.file)) {
+            loaded.set(entry.file, await PDFDocument.load(fs.readFileSync(entry.file.path)));
+          }
+          const pdf = loaded.get(entry.file);
+          const pageIndices = parsePageRanges(entry.pages, pdf.getPageCount());
+
+          if (pageIndices.length === 0) {
+            cleanupInputs();
+            return res.status(400).json({
+              error: `No valid pages "${entry.pages}" in ${entry.file.originalname}, which has ${pdf.getPageCount()} page${pdf.getPageCount() === 1 ? '' : 's'}`
+            });
+          }
+
+          const firstPage = mergedPdf.getPageCount();
+          const copiedPages = await mergedPdf.copyPages(pdf, pageIndices);
           copiedPages.forEach((page) => mergedPdf.addPage(page));
+
+          const title = entry.title || entry.file.originalname.replace(/\.pdf$/i, '');
+          outline.push({ title, pageIndex: firstPage });
+          sources.push({
+            filename: entry.file.originalname,
+            pages: pageIndices.map(index => index + 1),
+            startPage: firstPage + 1
+          });
+        }
+
+        if (String(bookmarks) !== 'false') {
+          setOutline(mergedPdf, outline);
         }
 
         // Save the merged PDF
@@ -36,38 +211,199 @@ router.post('/merge', async (req, res) => {
         fs.writeFileSync(outputPath, pdfBytes);
 
         // Clean up input files
-        req.files.forEach(file => {
-          if (fs.existsSync(file.path)) {
-            fs.unlinkSync(file.path);
-          }
-        });
+        cleanupInputs();
 
         res.json({
           success: true,
-          message: `Successfully merged ${req.files.length} PDF files`,
+          message: `Successfully merged ${loaded.size} PDF files`,
           downloadUrl: `/uploads/${path.basename(outputPath)}`,
-          filename: `merged-${Date.now()}.pdf`,
-          pageCount: mergedPdf.getPageCount()
+          filename: applyFilenameTemplate(filenameTemplate, {
+            name: req.files[0].originalname.replace(/\.pdf$/i, ''),
+            count: entries.length,
+            pages: mergedPdf.getPageCount(),
+            date: new Date(timestamp).toISOString().slice(0, 10),
+            timestamp
+          }),
+          pageCount: mergedPdf.getPageCount(),
+          sources
         });
 
       } catch (error) {
         // Clean up files on error
+        cleanupInputs();
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        console.error('PDF merge error:', error);
+        res.status(500).json({ error: 'Failed to merge PDF files' });
+      }
+    });
+  } catch (error) {
+    console.error('PDF merge error:', error);
+    res.status(500).json({ error: 'Failed to merge PDF files' });
+  }
+});
+
+// How /interleave handles files of different lengths: append the rest of the
+// longer files, pad the shorter ones with blank pages, or refuse
+const UNEVEN_MODES = ['append', 'blank', 'error'];
+
+// Page order for interleaving: `chunkSize` pages from each source in turn.
+// Returns [{ source, pageIndex }] with null for blank padding pages.
+const interleaveOrder = (pageCounts, chunkSize, uneven) => {
+  const order = [];
+  const longest = Math.max(...pageCounts);
+
+  for (let start = 0; start < longest; start += chunkSize) {
+    pageCounts.forEach((count, source) => {
+      for (let pageIndex = start; pageIndex < start + chunkSize; pageIndex++) {
+        if (pageIndex < count) order.push({ source, pageIndex });
+        else if (uneven === 'blank') order.push(null);
+      }
+    });
+  }
+  return order;
+};
+
+// Interleave pages of several PDFs. mode=collate takes exactly two files,
+// e.g. the fronts and backs of a stack scanned one side at a time, and
+// alternates A1, B1, A2, B2...; reverseSecond is for backs scanned last page
+// first. mode=interleave takes any number of files and `chunkSize` pages
+// from each in turn. `reverse` lists further files (1-based, in upload
+// order) to read back to front, and `uneven` is one of UNEVEN_MODES.
+router.post('/interleave', async (req, res) => {
+  try {
+    req.upload.array('files', MERGE_MAX_FILES)(req, res, async (err) => {
+      if (err) {
+        if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+          return res.status(400).json({ error: `You can interleave at most ${MERGE_MAX_FILES} files at once` });
+        }
+        return res.status(400).json({ error: err.message });
+      }
+
+      if (!req.files || req.files.length < 2) {
+        return res.status(400).json({ error: 'Please upload at least 2 PDF files to interleave' });
+      }
+
+      const {
+        mode = 'collate',
+        chunkSize = '1',
+        reverseSecond = 'false',
+        reverse = '',
+        uneven = 'append'
+      } = req.body;
+      const outputPath = path.join(path.dirname(req.files[0].path), `interleaved-${Date.now()}.pdf`);
+
+      const cleanupInputs = () => {
         req.files.forEach(file => {
           if (fs.existsSync(file.path)) {
             fs.unlinkSync(file.path);
           }
         });
+      };
+
+      const reject = (message) => {
+        cleanupInputs();
+        return res.status(400).json({ error: message });
+      };
+
+      const chunk = mode === 'collate' ? 1 : parseInt(chunkSize);
+      const reversed = new Set(String(reverse).split(',').filter(part => part.trim()).map(part => parseInt(part)));
+      if (reverseSecond === 'true') reversed.add(2);
+
+      if (!['collate', 'interleave'].includes(mode)) {
+        return reject('mode must be collate or interleave');
+      }
+      if (mode === 'collate' && req.files.length !== 2) {
+        return reject('Collate takes exactly 2 PDF files: the fronts, then the backs');
+      }
+      if (!(chunk >= 1)) {
+        return reject('chunkSize must be 1 or more pages');
+      }
+      if ([...reversed].some(position => !(position >= 1 && position <= req.files.length))) {
+        return reject(`reverse must list file numbers from 1 to ${req.files.length}`);
+      }
+      if (!UNEVEN_MODES.includes(uneven)) {
+        return reject(`uneven must be one of ${UNEVEN_MODES.join(', ')}`);
+      }
+
+      try {
+        const sources = [];
+        for (const file of req.files) {
+          sources.push(await PDFDocument.load(fs.readFileSync(file.path)));
+        }
+        const pageCounts = sources.map(pdf => pdf.getPageCount());
+
+        const empty = pageCounts.indexOf(0);
+        if (empty !== -1) {
+          return reject(`${req.files[empty].originalname} has no pages`);
+        }
+        if (uneven === 'error' && new Set(pageCounts).size > 1) {
+          return reject(`The files have different page counts (${pageCounts.join(', ')})`);
+        }
+
+        const order = interleaveOrder(pageCounts, chunk, uneven);
+
+        // Copy each source's pages once, in reading order, then place them
+        const interleaved = await PDFDocument.create();
+        const copied = [];
+        for (let source = 0; source < sources.length; source++) {
+          const pageIndices = sources[source].getPageIndices();
+          if (reversed.has(source + 1)) pageIndices.reverse();
+          copied.push(await interleaved.copyPages(sources[source], pageIndices));
+        }
+
+        let blankPagesAdded = 0;
+        let lastSize = sources[0].getPage(0).getSize();
+        order.forEach(entry => {
+          if (entry) {
+            const page = copied[entry.source][entry.pageIndex];
+            interleaved.addPage(page);
+            lastSize = page.getSize();
+          } else {
+            // Padding takes the size of the page it stands in for
+            interleaved.addPage([lastSize.width, lastSize.height]);
+            blankPagesAdded++;
+          }
+        });
+
+        const pdfBytes = await interleaved.save();
+        fs.writeFileSync(outputPath, pdfBytes);
+
+        // Clean up input files
+        cleanupInputs();
+
+        res.json({
+          success: true,
+          message: `Interleaved ${req.files.length} PDF files into ${interleaved.getPageCount()} pages`,
+          downloadUrl: `/uploads/${path.basename(outputPath)}`,
+          filename: `${mode === 'collate' ? 'collated' : 'interleaved'}-${req.files[0].originalname}`,
+          pageCount: interleaved.getPageCount(),
+          blankPagesAdded,
+          sources: req.files.map((file, index) => ({
+            filename: file.originalname,
+            pageCount: pageCounts[index],
+            reversed: reversed.has(index + 1)
+          }))
+        });
+
+      } catch (error) {
+        // Clean up files on error
+        cleanupInputs();
         if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-        throw error;
+        console.error('PDF interleave error:', error);
+        res.status(500).json({ error: 'Failed to interleave PDF files' });
       }
     });
   } catch (error) {
-    console.error('PDF merge error:', error);
-    res.status(500).json({ error: 'Failed to merge PDF files' });
+    console.error('PDF interleave error:', error);
+    res.status(500).json({ error: 'Failed to interleave PDF files' });
   }
 });
 
-// Split PDF into separate pages or ranges
+const SPLIT_TYPES = ['pages', 'ranges', 'every', 'size', 'bookmarks', 'blank', 'barcode'];
+
+// Split PDF into separate pages or ranges, every N pages, into files under a
+// size limit, at each top-level bookmark, or at blank or barcode separator
+// pages (separators are dropped unless keepSeparators is set)
 router.post('/split', async (req, res) => {
   try {
     req.upload.single('file')(req, res, async (err) => {
@@ -79,69 +415,272 @@ router.post('/split', async (req, res) => {
         return res.status(400).json({ error: 'No PDF file uploaded' });
       }
 
-      const { splitType = 'pages', ranges } = req.body;
+      const {
+        splitType = 'pages',
+        ranges,
+        pagesPerFile,
+        maxSizeMB,
+        blankThreshold,
+        barcodePattern,
+        keepSeparators = 'false',
+        bookmarks = 'true'
+      } = req.body;
       const inputPath = req.file.path;
       const outputFiles = [];
+      const baseName = safeFilename(req.file.originalname.replace(/\.pdf$/i, ''));
+      const zipPath = path.join(path.dirname(inputPath), `split-${Date.now()}.zip`);
+
+      const reject = (message) => {
+        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+        return res.status(400).json({ error: message });
+      };
+
+      if (!SPLIT_TYPES.includes(splitType)) {
+        return reject(`splitType must be one of ${SPLIT_TYPES.join(', ')}`);
+      }
 
       try {
         const pdfBytes = fs.readFileSync(inputPath);
         const pdf = await PDFDocument.load(pdfBytes);
         const totalPages = pdf.getPageCount();
+        const timestamp = Date.now();
+        // Each part keeps the bookmarks that point into it
+        const outline = String(bookmarks) !== 'false' ? readOutline(pdf) : null;
+
+        // Write one output file holding the given 0-based pages. `details`
+        // is added to the file's entry in the response.
+        const writePart = async (pageIndices, filename, details, bytes) => {
+          if (!bytes) {
+            const newPdf = await copyPagesWithOutline(pdf, pageIndices, outline);
+            bytes = await newPdf.save();
+          }
+
+          const outputPath = path.join(
+            path.dirname(inputPath),
+            `part-${outputFiles.length + 1}-${timestamp}.pdf`
+          );
+          fs.writeFileSync(outputPath, bytes);
+
+          outputFiles.push({
+            filename,
+            downloadUrl: `/uploads/${path.basename(outputPath)}`,
+            ...details,
+            pageCount: pageIndices.length,
+            size: bytes.length
+          });
+        };
+
+        // "4-6" for the first and last page of a part
+        const describeRange = (pageIndices) => `${pageIndices[0] + 1}-${pageIndices[pageIndices.length - 1] + 1}`;
 
         if (splitType === 'pages') {
           // Split into individual pages
           for (let i = 0; i < totalPages; i++) {
-            const newPdf = await PDFDocument.create();
-            const [copiedPage] = await newPdf.copyPages(pdf, [i]);
-            newPdf.addPage(copiedPage);
-
-            const outputPath = path.join(
-              path.dirname(inputPath), 
-              `page-${i + 1}-${Date.now()}.pdf`
-            );
-            
-            const pdfBytes = await newPdf.save();
-            fs.writeFileSync(outputPath, pdfBytes);
-            
-            outputFiles.push({
-              filename: `page-${i + 1}.pdf`,
-              downloadUrl: `/uploads/${path.basename(outputPath)}`,
-              pageNumber: i + 1
-            });
+            await writePart([i], `page-${i + 1}.pdf`, { pageNumber: i + 1 });
           }
-        } else if (splitType === 'ranges' && ranges) {
+        } else if (splitType === 'ranges') {
+          if (!ranges) {
+            return reject('Please specify the ranges to split into');
+          }
+
           // Split by custom ranges
-          const rangeList = JSON.parse(ranges);
-          
-          for (let i = 0; i < rangeList.length; i++) {
-            const range = rangeList[i];
+          let rangeList;
+          try {
+            rangeList = typeof ranges === 'string' ? JSON.parse(ranges) : ranges;
+          } catch (parseError) {
+            return reject('ranges is not valid JSON');
+          }
+
+          if (!Array.isArray(rangeList) ||
+            !rangeList.every(range => range && Number.isInteger(Number(range.start)) && Number.isInteger(Number(range.end)))) {
+            return reject('ranges must be a JSON array of { start, end } page numbers');
+          }
+
+          for (const range of rangeList) {
             const startPage = Math.max(0, range.start - 1);
             const endPage = Math.min(totalPages - 1, range.end - 1);
-            
-            const newPdf = await PDFDocument.create();
+            if (endPage < startPage) continue;
+
             const pageIndices = [];
-            
             for (let j = startPage; j <= endPage; j++) {
               pageIndices.push(j);
             }
-            
-            const copiedPages = await newPdf.copyPages(pdf, pageIndices);
-            copiedPages.forEach(page => newPdf.addPage(page));
-
-            const outputPath = path.join(
-              path.dirname(inputPath), 
-              `range-${startPage + 1}-${endPage + 1}-${Date.now()}.pdf`
-            );
-            
-            const pdfBytes = await newPdf.save();
-            fs.writeFileSync(outputPath, pdfBytes);
-            
-            outputFiles.push({
-              filename: `pages-${startPage + 1}-to-${endPage + 1}.pdf`,
-              downloadUrl: `/uploads/${path.basename(outputPath)}`,
+
+            await writePart(pageIndices, `pages-${startPage + 1}-to-${endPage + 1}.pdf`, {
               pageRange: `${startPage + 1}-${endPage + 1}`
             });
           }
+        } else if (splitType === 'every') {
+          const size = parseInt(pagesPerFile);
+          if (!(size >= 1)) {
+            return reject('pagesPerFile must be 1 or more');
+          }
+
+          for (let start = 0; start < totalPages; start += size) {
+            const pageIndices = pdf.getPageIndices().slice(start, start + size);
+            await writePart(pageIndices, `${baseName}-pages-${describeRange(pageIndices)}.pdf`, {
+              pageRange: describeRange(pageIndices)
+            });
+          }
+        } else if (splitType === 'size') {
+          const maxBytes = parseFloat(maxSizeMB) * 1024 * 1024;
+          if (!(maxBytes > 0)) {
+            return reject('maxSizeMB must be a positive number');
+          }
+
+          // Save the pages start..end (inclusive) as a new document
+          const saveRange = async (start, end) => {
+            const newPdf = await copyPagesWithOutline(pdf, pdf.getPageIndices().slice(start, end + 1), outline);
+            return newPdf.save();
+          };
+
+          // Grow each part by doubling, then binary search for the most pages
+          // that still fit. A single page over the limit becomes its own part.
+          let start = 0;
+          while (start < totalPages) {
+            let best = { end: start, bytes: await saveRange(start, start) };
+            if (best.bytes.length <= maxBytes) {
+              let low = start + 1;
+              let high = start + 1;
+              while (high < totalPages) {
+                const bytes = await saveRange(start, high);
+                if (bytes.length > maxBytes) break;
+                best = { end: high, bytes };
+                low = high + 1;
+                high = start + (high - start + 1) * 2 - 1;
+              }
+              high = Math.min(high, totalPages) - 1;
+              while (low <= high) {
+                const mid = Math.floor((low + high) / 2);
+                const bytes = await saveRange(start, mid);
+                if (bytes.length <= maxBytes) {
+                  best = { end: mid, bytes };
+                  low = mid + 1;
+                } else {
+                  high = mid - 1;
+                }
+              }
+            }
+
+            const pageIndices = pdf.getPageIndices().slice(start, best.end + 1);
+            await writePart(pageIndices, `${baseName}-part-${outputFiles.length + 1}.pdf`, {
+              pageRange: describeRange(pageIndices),
+              overLimit: best.bytes.length > maxBytes
+            }, best.bytes);
+            start = best.end + 1;
+          }
+        } else if (splitType === 'bookmarks') {
+          const starts = (outline || readOutline(pdf))
+            .filter(item => item.pageIndex !== null)
+            .sort((a, b) => a.pageIndex - b.pageIndex);
+
+          if (starts.length === 0) {
+            return reject('This PDF has no bookmarks to split at');
+          }
+
+          // Pages before the first bookmark keep the document's own name
+          const parts = [];
+          if (starts[0].pageIndex > 0) {
+            parts.push({ title: baseName, start: 0 });
+          }
+          starts.forEach(item => {
+            const last = parts[parts.length - 1];
+            // Bookmarks on the same page share one part, named after the first
+            if (!last || last.start !== item.pageIndex) {
+              parts.push({ title: item.title, start: item.pageIndex });
+            }
+          });
+
+          for (let i = 0; i < parts.length; i++) {
+            const end = i + 1 < parts.length ? parts[i + 1].start : totalPages;
+            const pageIndices = pdf.getPageIndices().slice(parts[i].start, end);
+            await writePart(pageIndices, `${safeFilename(parts[i].title) || `part-${i + 1}`}.pdf`, {
+              bookmark: parts[i].title,
+              pageRange: describeRange(pageIndices)
+            });
+          }
+        } else {
+          let separators;
+          if (splitType === 'blank') {
+            const threshold = blankThreshold === undefined ? 0.003 : parseFloat(blankThreshold);
+            if (!(threshold >= 0 && threshold < 1)) {
+              return reject('blankThreshold must be a fraction between 0 and 1, such as 0.003');
+            }
+            const blankPages = await findBlankPages(inputPath, pdf, { threshold });
+            separators = new Map([...blankPages].map(index => [index, null]));
+          } else {
+            let pattern = null;
+            if (barcodePattern) {
+              try {
+                pattern = new RegExp(barcodePattern);
+              } catch (patternError) {
+                return reject('barcodePattern is not a valid regular expression');
+              }
+            }
+            const barcodes = await findBarcodePages(inputPath, pdf, { pattern });
+            separators = new Map([...barcodes].map(([index, barcode]) => [index, barcode.text]));
+          }
+
+          if (separators.size === 0) {
+            return reject(`No ${splitType === 'blank' ? 'blank' : 'barcode'} separator pages found`);
+          }
+
+          // A separator starts a new document. Back-to-back separators (such
+          // as the blank back of a separator sheet) do not make empty parts,
+          // and a barcode names the document that follows it.
+          const keep = String(keepSeparators) === 'true';
+          const parts = [];
+          let current = null;
+          for (let index = 0; index < totalPages; index++) {
+            const isSeparator = separators.has(index);
+            if (!current || (isSeparator && current.contentPages > 0)) {
+              current = { pages: [], contentPages: 0, barcode: null, separators: [] };
+              parts.push(current);
+            }
+
+            if (isSeparator) {
+              current.separators.push(index + 1);
+              if (separators.get(index) && !current.barcode) current.barcode = separators.get(index);
+              if (keep) current.pages.push(index);
+            } else {
+              current.pages.push(index);
+              current.contentPages++;
+            }
+          }
+
+          // Separators after the last document do not make a part of their
+          // own; when kept they stay at the end of the last document
+          const last = parts[parts.length - 1];
+          if (keep && parts.length > 1 && last.contentPages === 0) {
+            parts[parts.length - 2].pages.push(...last.pages);
+          }
+
+          for (const part of parts.filter(item => item.contentPages > 0)) {
+            const name = part.barcode
+              ? safeFilename(part.barcode)
+              : `${baseName}-document-${outputFiles.length + 1}`;
+            await writePart(part.pages, `${name || `document-${outputFiles.length + 1}`}.pdf`, {
+              pageRange: describeRange(part.pages),
+              separatorPages: part.separators,
+              ...(part.barcode ? { barcode: part.barcode } : {})
+            });
+          }
+
+          if (outputFiles.length === 0) {
+            return reject('Every page is a separator page');
+          }
+        }
+
+        // Every part can also be downloaded at once as a ZIP, so names must
+        // not repeat (two bookmarks with the same title, say)
+        uniqueEntryNames(outputFiles.map(file => file.filename)).forEach((name, index) => {
+          outputFiles[index].filename = name;
+        });
+        if (outputFiles.length > 1) {
+          await writeZip(outputFiles.map(file => ({
+            name: file.filename,
+            path: path.join(path.dirname(inputPath), path.basename(file.downloadUrl))
+          })), zipPath);
         }
 
         // Clean up input file
@@ -150,6 +689,8 @@ router.post('/split', async (req, res) => {
         res.json({
           success: true,
           message: `PDF split into ${outputFiles.length} files`,
+          downloadUrl: outputFiles.length > 1 ? `/uploads/${path.basename(zipPath)}` : outputFiles[0].downloadUrl,
+          filename: outputFiles.length > 1 ? `${baseName}-split.zip` : outputFiles[0].filename,
           files: outputFiles,
           originalPageCount: totalPages
         });
@@ -161,7 +702,9 @@ router.post('/split', async (req, res) => {
           const filePath = path.join(path.dirname(inputPath), path.basename(file.downloadUrl));
           if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
         });
-        throw error;
+        if (fs.existsSync(zipPath)) fs.unlinkSync(zipPath);
+        console.error('PDF split error:', error);
+        res.status(500).json({ error: 'Failed to split PDF file' });
       }
     });
   } catch (error) {
@@ -182,7 +725,7 @@ router.post('/remove-pages', async (req, res) => {
         return res.status(400).json({ error: 'No PDF file uploaded' });
       }
 
-      const { pagesToRemove } = req.body;
+      const { pagesToRemove, bookmarks = 'true' } = req.body;
       
       if (!pagesToRemove) {
         return res.status(400).json({ error: 'Please specify pages to remove' });
@@ -218,7 +761,6 @@ router.post('/remove-pages', async (req, res) => {
         });
 
         // Create new PDF with remaining pages
-        const newPdf = await PDFDocument.create();
         const pagesToKeep = [];
         
         for (let i = 0; i < totalPages; i++) {
@@ -231,8 +773,12 @@ router.post('/remove-pages', async (req, res) => {
           return res.status(400).json({ error: 'Cannot remove all pages from PDF' });
         }
 
-        const copiedPages = await newPdf.copyPages(pdf, pagesToKeep);
-        copiedPages.forEach(page => newPdf.addPage(page));
+        // Surviving bookmarks move with their pages
+        const newPdf = await copyPagesWithOutline(
+          pdf,
+          pagesToKeep,
+          String(bookmarks) !== 'false' ? readOutline(pdf) : null
+        );
 
         // Save the new PDF
         const newPdfBytes = await newPdf.save();
@@ -255,7 +801,8 @@ router.post('/remove-pages', async (req, res) => {
         // Clean up files on error
         if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
         if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-        throw error;
+        console.error('Remove pages error:', error);
+        res.status(500).json({ error: 'Failed to remove pages from PDF' });
       }
     });
   } catch (error) {
@@ -276,7 +823,7 @@ router.post('/extract-pages', async (req, res) => {
         return res.status(400).json({ error: 'No PDF file uploaded' });
       }
 
-      const { pagesToExtract } = req.body;
+      const { pagesToExtract, bookmarks = 'true' } = req.body;
       
       if (!pagesToExtract) {
         return res.status(400).json({ error: 'Please specify pages to extract' });
@@ -315,10 +862,12 @@ router.post('/extract-pages', async (req, res) => {
           return res.status(400).json({ error: 'No valid pages specified for extraction' });
         }
 
-        // Create new PDF with extracted pages
-        const newPdf = await PDFDocument.create();
-        const copiedPages = await newPdf.copyPages(pdf, pagesToExtractArray);
-        copiedPages.forEach(page => newPdf.addPage(page));
+        // Create new PDF with extracted pages and the bookmarks pointing at them
+        const newPdf = await copyPagesWithOutline(
+          pdf,
+          pagesToExtractArray,
+          String(bookmarks) !== 'false' ? readOutline(pdf) : null
+        );
 
         // Save the new PDF
         const newPdfBytes = await newPdf.save();
@@ -341,7 +890,8 @@ router.post('/extract-pages', async (req, res) => {
         // Clean up files on error
         if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
         if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-        throw error;
+        console.error('Extract pages error:', error);
+        res.status(500).json({ error: 'Failed to extract pages from PDF' });
       }
     });
   } catch (error) {
@@ -350,4 +900,464 @@ router.post('/extract-pages', async (req, res) => {
   }
 });
 
+// Reorder pages. mode=map takes a page map such as [3,1,2,2,5] (or
+// "3,1,2,2,5" or "5-1"), which can repeat or leave out pages. The shortcuts
+// are reverse, odd-even (odd pages first, then even pages, e.g. for a stack
+// scanned one side at a time) and move, which moves the `pages` selection so
+// it starts at position `to` ("end" for the back) in the result.
+router.post('/reorder', async (req, res) => {
+  try {
+    req.upload.single('file')(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'No PDF file uploaded' });
+      }
+
+      const { pageOrder, pages, to, bookmarks = 'true' } = req.body;
+      const mode = req.body.mode || (pageOrder ? 'map' : null);
+      const inputPath = req.file.path;
+      const outputPath = path.join(path.dirname(inputPath), `reordered-${Date.now()}.pdf`);
+
+      const reject = (message) => {
+        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+        return res.status(400).json({ error: message });
+      };
+
+      if (!['map', 'reverse', 'odd-even', 'move'].includes(mode)) {
+        return reject('Give a pageOrder, or a mode of reverse, odd-even or move');
+      }
+
+      try {
+        const pdfBytes = fs.readFileSync(inputPath);
+        const pdf = await PDFDocument.load(pdfBytes);
+        const totalPages = pdf.getPageCount();
+        const allPages = pdf.getPageIndices();
+        let order;
+
+        if (mode === 'map') {
+          if (!pageOrder) {
+            return reject('Please specify a pageOrder such as [3,1,2]');
+          }
+
+          let entries;
+          try {
+            entries = /^\s*\[/.test(pageOrder) ? JSON.parse(pageOrder) : null;
+          } catch (parseError) {
+            return reject('pageOrder is not a valid JSON array');
+          }
+
+          if (entries) {
+            const invalid = entries.find(page => !Number.isInteger(page) || page < 1 || page > totalPages);
+            if (invalid !== undefined) {
+              return reject(`Page ${invalid} does not exist; the PDF has ${totalPages} pages`);
+            }
+            order = entries.map(page => page - 1);
+          } else {
+            order = parsePageRanges(pageOrder, totalPages);
+          }
+        } else if (mode === 'reverse') {
+          order = allPages.slice().reverse();
+        } else if (mode === 'odd-even') {
+          order = [
+            ...allPages.filter(index => index % 2 === 0),
+            ...allPages.filter(index => index % 2 === 1)
+          ];
+        } else {
+          if (!pages || to === undefined || to === '') {
+            return reject('Move needs the pages to move and a position to move them to');
+          }
+
+          const moved = [...new Set(parsePageRanges(pages, totalPages))];
+          const rest = allPages.filter(index => !moved.includes(index));
+          const position = String(to).trim().toLowerCase() === 'end' ? rest.length : parseInt(to) - 1;
+          if (moved.length === 0) {
+            return reject('No valid pages specified to move');
+          }
+          if (!(position >= 0)) {
+            return reject('to must be a page position (1 or more) or "end"');
+          }
+
+          order = rest.slice();
+          order.splice(Math.min(position, rest.length), 0, ...moved);
+        }
+
+        if (order.length === 0) {
+          return reject('The page order does not contain any pages of this PDF');
+        }
+
+        // Create new PDF with the pages in their new order; bookmarks follow
+        // their pages
+        const newPdf = await copyPagesWithOutline(
+          pdf,
+          order,
+          String(bookmarks) !== 'false' ? readOutline(pdf) : null
+        );
+
+        // Save the new PDF
+        const newPdfBytes = await newPdf.save();
+        fs.writeFileSync(outputPath, newPdfBytes);
+
+        // Clean up input file
+        fs.unlinkSync(inputPath);
+
+        res.json({
+          success: true,
+          message: `Reordered ${order.length} pages`,
+          downloadUrl: `/uploads/${path.basename(outputPath)}`,
+          filename: `reordered-${req.file.originalname}`,
+          originalPageCount: totalPages,
+          newPageCount: order.length,
+          pageOrder: order.map(index => index + 1)
+        });
+
+      } catch (error) {
+        // Clean up files on error
+        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        console.error('Reorder pages error:', error);
+        res.status(500).json({ error: 'Failed to reorder PDF pages' });
+      }
+    });
+  } catch (error) {
+    console.error('Reorder pages error:', error);
+    res.status(500).json({ error: 'Failed to reorder PDF pages' });
+  }
+});
+
+// Print layout. mode=nup puts pagesPerSheet (2, 4, 6, 9 or 16) pages on each
+// sheet in the given reading order; mode=booklet imposes the pages two to a
+// side for a saddle-stitched booklet, padded with blank pages to a multiple
+// of 4. sheetSize is a named size, orientation auto, portrait or landscape,
+// and margin and gutter are in points. `pages` limits the source pages.
+router.post('/nup', async (req, res) => {
+  try {
+    req.upload.single('file')(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'No PDF file uploaded' });
+      }
+
+      const {
+        mode = 'nup',
+        pagesPerSheet = '4',
+        sheetSize = 'A4',
+        orientation = 'auto',
+        margin = '18',
+        gutter = '9',
+        order = 'horizontal',
+        border = 'false',
+        binding = 'left',
+        pages
+      } = req.body;
+      const inputPath = req.file.path;
+      const outputPath = path.join(path.dirname(inputPath), `${mode === 'booklet' ? 'booklet' : 'nup'}-${Date.now()}.pdf`);
+
+      const reject = (message) => {
+        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+        return res.status(400).json({ error: message });
+      };
+
+      const perSheet = parseInt(pagesPerSheet);
+      const sheet = getPageSize(sheetSize);
+      const marginPoints = parseFloat(margin);
+      const gutterPoints = parseFloat(gutter);
+
+      if (!['nup', 'booklet'].includes(mode)) {
+        return reject('mode must be nup or booklet');
+      }
+      if (mode === 'nup' && !NUP_LAYOUTS[perSheet]) {
+        return reject(`pagesPerSheet must be one of ${Object.keys(NUP_LAYOUTS).join(', ')}`);
+      }
+      if (!sheet) {
+        return reject(`Unknown sheet size "${sheetSize}"`);
+      }
+      if (!['auto', 'portrait', 'landscape'].includes(orientation)) {
+        return reject('orientation must be auto, portrait or landscape');
+      }
+      if (!(marginPoints >= 0) || !(gutterPoints >= 0)) {
+        return reject('margin and gutter must be zero or more points');
+      }
+      if (!READING_ORDERS.includes(order)) {
+        return reject(`order must be one of ${READING_ORDERS.join(', ')}`);
+      }
+      if (!['left', 'right'].includes(binding)) {
+        return reject('binding must be left or right');
+      }
+
+      try {
+        const pdfBytes = fs.readFileSync(inputPath);
+        const pdf = await PDFDocument.load(pdfBytes);
+        const pageIndices = pages ? parsePageRanges(pages, pdf.getPageCount()) : pdf.getPageIndices();
+
+        if (pageIndices.length === 0) {
+          return reject('No valid pages specified');
+        }
+
+        const options = {
+          perSheet,
+          sheetSize: sheet,
+          orientation,
+          margin: marginPoints,
+          gutter: gutterPoints,
+          order,
+          border: border === 'true',
+          rightToLeft: binding === 'right'
+        };
+
+        let imposed;
+        let blankPagesAdded = 0;
+        try {
+          if (mode === 'booklet') {
+            const booklet = await imposeBooklet(pdf, pageIndices, options);
+            imposed = booklet.pdf;
+            blankPagesAdded = booklet.blankPages;
+          } else {
+            imposed = await imposeNup(pdf, pageIndices, options);
+          }
+        } catch (layoutError) {
+          if (/no room/.test(layoutError.message)) return reject(layoutError.message);
+          throw layoutError;
+        }
+
+        const imposedBytes = await imposed.save();
+        fs.writeFileSync(outputPath, imposedBytes);
+
+        // Clean up input file
+        fs.unlinkSync(inputPath);
+
+        const sheetCount = imposed.getPageCount();
+        const printedSheets = mode === 'booklet' ? sheetCount / 2 : sheetCount;
+        res.json({
+          success: true,
+          message: mode === 'booklet'
+            ? `Imposed ${pageIndices.length} pages as a booklet on ${printedSheets} sheet${printedSheets === 1 ? '' : 's'}`
+            : `Placed ${pageIndices.length} pages ${perSheet} to a sheet on ${printedSheets} sheet${printedSheets === 1 ? '' : 's'}`,
+          downloadUrl: `/uploads/${path.basename(outputPath)}`,
+          filename: `${mode === 'booklet' ? 'booklet' : 'nup'}-${req.file.originalname}`,
+          mode,
+          pageCount: pageIndices.length,
+          pagesPerSheet: mode === 'booklet' ? 2 : perSheet,
+          // A booklet sheet is printed on both sides, so it has two PDF pages
+          sheetCount: printedSheets,
+          outputPageCount: sheetCount,
+          blankPagesAdded
+        });
+
+      } catch (error) {
+        // Clean up files on error
+        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        console.error('N-up error:', error);
+        res.status(500).json({ error: 'Failed to lay out PDF pages' });
+      }
+    });
+  } catch (error) {
+    console.error('N-up error:', error);
+    res.status(500).json({ error: 'Failed to lay out PDF pages' });
+  }
+});
+
+
+// Read where /insert should add pages as gaps between the original pages:
+// gap 0 is before page 1 and gap N after page N. `spec` lists page numbers
+// and ranges ("1,3,5-7") or odd, even, all, start and end; `position` says
+// whether the content goes before or after each listed page. Returns sorted
+// gaps without duplicates.
+const parseInsertGaps = (spec, position, totalPages) => {
+  const gaps = new Set();
+  const offset = position === 'before' ? 0 : 1;
+
+  String(spec).split(',').forEach(part => {
+    const token = part.trim().toLowerCase();
+    if (!token) return;
+
+    if (token === 'start') {
+      gaps.add(0);
+    } else if (token === 'end') {
+      gaps.add(totalPages);
+    } else if (token === 'odd' || token === 'even') {
+      for (let index = token === 'odd' ? 0 : 1; index < totalPages; index += 2) {
+        gaps.add(index + offset);
+      }
+    } else {
+      parsePageRanges(token, totalPages).forEach(index => gaps.add(index + offset));
+    }
+  });
+
+  return [...gaps].sort((a, b) => a - b);
+};
+
+// Insert pages into a PDF: blank pages (`count` of them, sized like the page
+// next to them or a named `size`), or the pages of the uploaded `insert`
+// files, which may be PDFs (narrowed with insertPages) or images. `pages` and
+// `position` choose where, e.g. pages=1 position=before for a cover, or
+// pages=odd for a blank page after every odd page. The original document's
+// bookmarks and metadata are kept.
+router.post('/insert', async (req, res) => {
+  try {
+    req.upload.fields([
+      { name: 'file', maxCount: 1 },
+      { name: 'insert', maxCount: 50 }
+    ])(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const file = req.files && req.files.file && req.files.file[0];
+      const insertFiles = (req.files && req.files.insert) || [];
+
+      const cleanupInputs = () => {
+        [file, ...insertFiles].forEach(upload => {
+          if (upload && fs.existsSync(upload.path)) fs.unlinkSync(upload.path);
+        });
+      };
+
+      if (!file) {
+        cleanupInputs();
+        return res.status(400).json({ error: 'No PDF file uploaded' });
+      }
+
+      const {
+        pages,
+        position = 'after',
+        count = '1',
+        size = 'match',
+        insertPages,
+        fitMode = 'fit'
+      } = req.body;
+      const type = req.body.type || (insertFiles.length ? 'files' : 'blank');
+      const outputPath = path.join(path.dirname(file.path), `inserted-${Date.now()}.pdf`);
+
+      const reject = (message) => {
+        cleanupInputs();
+        return res.status(400).json({ error: message });
+      };
+
+      const blankCount = parseInt(count);
+
+      if (!pages) {
+        return reject('Please choose where to insert, e.g. pages=1 position=before, or pages=odd');
+      }
+      if (!['before', 'after'].includes(position)) {
+        return reject('position must be before or after');
+      }
+      if (!['blank', 'files'].includes(type)) {
+        return reject('type must be blank or files');
+      }
+      if (type === 'files' && insertFiles.length === 0) {
+        return reject('Upload the PDFs or images to insert in the insert field');
+      }
+      if (type === 'blank' && !(blankCount >= 1 && blankCount <= 100)) {
+        return reject('count must be between 1 and 100 blank pages');
+      }
+      if (size !== 'match' && !getPageSize(size)) {
+        return reject(`Unknown page size. Use match or one of ${Object.keys(PAGE_SIZES).join(', ')}`);
+      }
+      if (!['fit', 'fill', 'center'].includes(fitMode)) {
+        return reject('fitMode must be one of fit, fill or center');
+      }
+
+      const unsupported = insertFiles.find(upload => (
+        upload.mimetype !== 'application/pdf' && !canDecodeImage(upload.mimetype)
+      ));
+      if (type === 'files' && unsupported) {
+        return reject(`${unsupported.originalname} cannot be inserted; use a PDF or an image`);
+      }
+
+      try {
+        const pdf = await PDFDocument.load(fs.readFileSync(file.path));
+        const totalPages = pdf.getPageCount();
+        const gaps = parseInsertGaps(pages, position, totalPages);
+
+        if (gaps.length === 0) {
+          return reject('No valid pages specified');
+        }
+
+        // Size of the original page next to a gap: the one before it, or
+        // the first page for a gap at the start
+        const neighbourSize = (gap) => pdf.getPage(Math.max(0, gap - 1)).getSize();
+
+        // Gather the inserted files into one document, in upload order.
+        // Images with size=match take the size of the first page they follow.
+        let content = null;
+        if (type === 'files') {
+          content = await PDFDocument.create();
+          const matchSize = neighbourSize(gaps[0]);
+          for (const upload of insertFiles) {
+            if (upload.mimetype === 'application/pdf') {
+              const source = await PDFDocument.load(fs.readFileSync(upload.path));
+              const copied = await content.copyPages(source, source.getPageIndices());
+              copied.forEach(page => content.addPage(page));
+            } else {
+              await addImagePages(content, upload.path, {
+                pageSize: size === 'match' ? [matchSize.width, matchSize.height] : size,
+                fitMode
+              });
+            }
+          }
+        }
+
+        const contentIndices = content ? parsePageRanges(insertPages, content.getPageCount()) : [];
+        if (content && contentIndices.length === 0) {
+          return reject('No valid insertPages specified');
+        }
+
+        // Insert from the back so earlier gaps keep their positions
+        let insertedPageCount = 0;
+        for (const gap of gaps.slice().reverse()) {
+          if (type === 'blank') {
+            const neighbour = neighbourSize(gap);
+            let [width, height] = size === 'match' ? [neighbour.width, neighbour.height] : getPageSize(size);
+            // A named size follows the orientation of the page next to it
+            if (size !== 'match' && neighbour.width > neighbour.height) [width, height] = [height, width];
+            for (let i = 0; i < blankCount; i++) {
+              pdf.insertPage(gap, [width, height]);
+            }
+            insertedPageCount += blankCount;
+          } else {
+            // Each gap gets its own copy of the pages
+            const copied = await pdf.copyPages(content, contentIndices);
+            copied.forEach((page, i) => pdf.insertPage(gap + i, page));
+            insertedPageCount += copied.length;
+          }
+        }
+
+        const pdfBytes = await pdf.save();
+        fs.writeFileSync(outputPath, pdfBytes);
+
+        // Clean up input files
+        cleanupInputs();
+
+        res.json({
+          success: true,
+          message: `Inserted ${insertedPageCount} page${insertedPageCount === 1 ? '' : 's'} at ${gaps.length} position${gaps.length === 1 ? '' : 's'}`,
+          downloadUrl: `/uploads/${path.basename(outputPath)}`,
+          filename: `inserted-${file.originalname}`,
+          originalPageCount: totalPages,
+          newPageCount: pdf.getPageCount(),
+          insertedPageCount,
+          // Original page numbers the content was placed after (0 = at the start)
+          insertedAfter: gaps
+        });
+
+      } catch (error) {
+        // Clean up files on error
+        cleanupInputs();
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        console.error('Insert pages error:', error);
+        res.status(500).json({ error: 'Failed to insert pages' });
+      }
+    });
+  } catch (error) {
+    console.error('Insert pages error:', error);
+    res.status(500).json({ error: 'Failed to insert pages' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,149 @@
+// A small CSS reader for the HTML renderer. It understands rule sets made of
+// type, class and id selectors (optionally with descendant combinators and
+// comma-separated lists) and inline style attributes. Anything it does not
+// understand, such as @media blocks or pseudo-classes, is skipped.
+
+// Parse "a: b; c: d" into { a: 'b', c: 'd' } with lower-cased property names
+const parseDeclarations = (text) => {
+  const declarations = {};
+  String(text || '').split(';').forEach(part => {
+    const colon = part.indexOf(':');
+    if (colon === -1) return;
+    const property = part.slice(0, colon).trim().toLowerCase();
+    const value = part.slice(colon + 1).replace(/!important/i, '').trim();
+    if (property && value) declarations[property] = value;
+  });
+  return declarations;
+};
+
+// Parse a style sheet into rules sorted by specificity, then source order
+const parseStylesheet = (text) => {
+  const rules = [];
+  const source = String(text || '')
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    // Drop at-rule blocks such as @media or @font-face including nested braces
+    .replace(/@[^{;]+\{(?:[^{}]*\{[^}]*\})*[^{}]*\}/g, '')
+    .replace(/@[^;{]+;/g, '');
+
+  const rulePattern = /([^{}]+)\{([^}]*)\}/g;
+  let match;
+  let order = 0;
+  while ((match = rulePattern.exec(source)) !== null) {
+    const declarations = parseDeclarations(match[2]);
+    match[1].split(',').forEach(selectorText => {
+      const selector = parseSelector(selectorText.trim());
+      if (!selector) return;
+      rules.push({ selector, declarations, specificity: specificityOf(selector), order: order++ });
+    });
+  }
+
+  return rules.sort((a, b) => a.specificity - b.specificity || a.order - b.order);
+};
+
+// "div.note p" -> [{ tag: 'div', classes: ['note'] }, { tag: 'p', classes: [] }]
+const parseSelector = (text) => {
+  if (!text || /[:>+~[\]*]/.test(text)) return null;
+
+  const parts = text.split(/\s+/).map(part => {
+    const compound = /^([a-z][a-z0-9]*)?((?:[.#][\w-]+)*)$/i.exec(part);
+    if (!compound) return null;
+    const simple = { tag: compound[1] ? compound[1].toLowerCase() : null, classes: [], id: null };
+    (compound[2].match(/[.#][\w-]+/g) || []).forEach(token => {
+      if (token[0] === '.') simple.classes.push(token.slice(1));
+      else simple.id = token.slice(1);
+    });
+    return simple;
+  });
+
+  return parts.includes(null) ? null : parts;
+};
+
+const specificityOf = (selector) => selector.reduce((total, part) => (
+  total + (part.id ? 100 : 0) + part.classes.length * 10 + (part.tag ? 1 : 0)
+), 0);
+
+const matchesSimple = (node, simple) => {
+  if (!node || node.type !== 'tag') return false;
+  if (simple.tag && node.name !== simple.tag) return false;
+  if (simple.id && node.attribs.id !== simple.id) return false;
+  if (simple.classes.length) {
+    const classes = (node.attribs.class || '').split(/\s+/);
+    if (!simple.classes.every(name => classes.includes(name))) return false;
+  }
+  return true;
+};
+
+const matches = (node, selector) => {
+  if (!matchesSimple(node, selector[selector.length - 1])) return false;
+
+  // Walk up the ancestors for each descendant part, right to left
+  let ancestor = node.parent;
+  for (let i = selector.length - 2; i >= 0; i--) {
+    while (ancestor && !matchesSimple(ancestor, selector[i])) {
+      ancestor = ancestor.parent;
+    }
+    if (!ancestor) return false;
+    ancestor = ancestor.parent;
+  }
+  return true;
+};
+
+// Collect the declarations that apply to an element; inline styles win
+const computeDeclarations = (node, rules) => {
+  const declarations = {};
+  rules.forEach(rule => {
+    if (matches(node, rule.selector)) Object.assign(declarations, rule.declarations);
+  });
+  Object.assign(declarations, parseDeclarations(node.attribs && node.attribs.style));
+  return declarations;
+};
+
+const NAMED_SIZES = {
+  'xx-small': 7, 'x-small': 8, small: 10, medium: 12, large: 14, 'x-large': 18, 'xx-large': 24
+};
+
+// Convert a CSS length to points. Relative units resolve against `base`.
+const toPoints = (value, base) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim().toLowerCase();
+  if (NAMED_SIZES[text]) return NAMED_SIZES[text];
+
+  const match = /^(-?[\d.]+)(px|pt|em|rem|%|mm|cm|in)?$/.exec(text);
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'pt': return number;
+    case 'em':
+    case 'rem': return number * base;
+    case '%': return number * base / 100;
+    case 'mm': return number * 72 / 25.4;
+    case 'cm': return number * 72 / 2.54;
+    case 'in': return number * 72;
+    default: return number * 0.75; // px and unitless
+  }
+};
+
+// Convert a CSS color to something PDFKit accepts (hex, name or [r, g, b])
+const toColor = (value) => {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+  if (text === 'transparent' || text === 'inherit' || text === 'initial') return null;
+
+  const rgbMatch = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(text);
+  if (rgbMatch) return [parseInt(rgbMatch[1]), parseInt(rgbMatch[2]), parseInt(rgbMatch[3])];
+
+  const shortHex = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(text);
+  if (shortHex) return `#${shortHex[1]}${shortHex[1]}${shortHex[2]}${shortHex[2]}${shortHex[3]}${shortHex[3]}`;
+
+  if (/^#[0-9a-f]{6}$/.test(text) || /^[a-z]+$/.test(text)) return text;
+  return null;
+};
+
+module.exports = {
+  parseDeclarations,
+  parseStylesheet,
+  computeDeclarations,
+  toPoints,
+  toColor
+};
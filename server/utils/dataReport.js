@@ -0,0 +1,328 @@
+const XLSX = require('xlsx');
+const { drawTable } = require('./pdfTable');
+const { parseNumber } = require('./spreadsheet');
+
+// Read CSV text (comma, semicolon or tab separated, first row as headers) or
+// JSON (an array of objects, an array of arrays with a header row, or either
+// of those under a "rows" or "data" key) into { keys, records }, where each
+// record maps a column key to its value.
+const readDataRows = (input, kind) => {
+  if (kind === 'json') {
+    let data = typeof input === 'string' ? JSON.parse(input) : input;
+    if (data && !Array.isArray(data)) data = data.rows || data.data;
+    if (!Array.isArray(data)) throw new Error('JSON data must be an array of rows');
+
+    if (data.length && Array.isArray(data[0])) {
+      return arraysToRecords(data);
+    }
+
+    // Keys in order of first appearance across all records
+    const keys = [];
+    const records = data.filter(row => row && typeof row === 'object').map(row => {
+      Object.keys(row).forEach(key => {
+        if (!keys.includes(key)) keys.push(key);
+      });
+      return row;
+    });
+    return { keys, records };
+  }
+
+  const workbook = XLSX.read(String(input).replace(/^\uFEFF/, ''), { type: 'string', raw: true });
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], {
+    header: 1,
+    raw: false,
+    defval: ''
+  });
+  return arraysToRecords(rows);
+};
+
+const arraysToRecords = (rows) => {
+  const [header = [], ...body] = rows;
+  const keys = header.map((key, index) => String(key).trim() || `Column ${index + 1}`);
+  const records = body
+    .filter(row => row.some(cell => cell !== '' && cell !== null && cell !== undefined))
+    .map(row => Object.fromEntries(keys.map((key, index) => [key, row[index]])));
+  return { keys, records };
+};
+
+const NUMBER_FORMATS = ['number', 'integer', 'currency', 'percent'];
+const FORMATS = ['text', 'date', ...NUMBER_FORMATS];
+const TOTALS = ['sum', 'average', 'min', 'max', 'count'];
+
+// Decimal commas as in European exports: 2332,97 or 1.234,56
+const COMMA_DECIMAL_PATTERN = /^-?\d{1,3}(?:\.\d{3})*,\d+$|^-?\d+,\d+$/;
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseNumber(value);
+  if (number !== null) return number;
+
+  const text = String(value).trim();
+  return COMMA_DECIMAL_PATTERN.test(text) ? parseFloat(text.replace(/\./g, '').replace(',', '.')) : null;
+};
+
+const decimalPlaces = (value) => {
+  const text = String(value).trim();
+  const match = COMMA_DECIMAL_PATTERN.test(text) ? /,(\d+)$/.exec(text) : /\.(\d+)/.exec(text);
+  return match ? match[1].length : 0;
+};
+
+// Work out the columns to print. spec is an optional array whose entries are
+// column keys or { key, label, width, align, format, decimals, currency,
+// dateFormat, total }; without one every key is printed. Columns that hold
+// only numbers are right-aligned, and sumAll adds a sum to each of them.
+// Throws for unknown keys, formats, currencies or totals.
+const resolveColumns = (keys, records, spec, { sumAll = false } = {}) => {
+  const entries = spec && spec.length ? spec : keys;
+
+  return entries.map(entry => {
+    const column = typeof entry === 'object' && entry !== null ? { ...entry } : { key: entry };
+    column.key = String(column.key);
+    if (!keys.includes(column.key)) {
+      throw new Error(`Column "${column.key}" is not in the data`);
+    }
+
+    const values = records.map(record => record[column.key]).filter(value => value !== '' && value !== null && value !== undefined);
+    const numeric = values.length > 0 && values.every(value => toNumber(value) !== null);
+
+    column.label = column.label === undefined ? column.key : String(column.label);
+    column.format = column.format || 'text';
+    if (!FORMATS.includes(column.format)) {
+      throw new Error(`Unknown format "${column.format}" for column "${column.key}". Use one of ${FORMATS.join(', ')}`);
+    }
+    column.align = column.align || (numeric || NUMBER_FORMATS.includes(column.format) ? 'right' : 'left');
+    if (!['left', 'center', 'right'].includes(column.align)) {
+      throw new Error(`align for column "${column.key}" must be left, center or right`);
+    }
+
+    if (column.currency !== undefined) {
+      column.currency = String(column.currency).trim().toUpperCase();
+      // Intl throws on codes it does not know, so check them up front
+      let known = /^[A-Z]{3}$/.test(column.currency);
+      try {
+        if (known) new Intl.NumberFormat('en-US', { style: 'currency', currency: column.currency });
+      } catch (currencyError) {
+        known = false;
+      }
+      if (!known) {
+        throw new Error(`Unknown currency "${column.currency}" for column "${column.key}". Use a code such as USD or EUR`);
+      }
+    }
+
+    if (column.total === undefined && sumAll && numeric) column.total = 'sum';
+    if (column.total && !TOTALS.includes(column.total)) {
+      throw new Error(`Unknown total "${column.total}" for column "${column.key}". Use one of ${TOTALS.join(', ')}`);
+    }
+
+    // Plain numbers keep as many decimals as the data has
+    if (column.decimals === undefined && column.format === 'text' && numeric) {
+      column.decimals = Math.max(0, ...values.map(decimalPlaces));
+    }
+
+    return column;
+  });
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Format a date with YYYY, YY, MMMM, MMM, MM, M, DD, D, HH, mm and ss tokens.
+// Dates are shown as written (UTC), so "2024-03-05" never shifts a day.
+const formatDate = (value, pattern) => {
+  const date = value instanceof Date ? value : new Date(typeof value === 'number' ? value : String(value));
+  if (Number.isNaN(date.getTime())) return String(value);
+
+  const pad = (number) => String(number).padStart(2, '0');
+  const tokens = {
+    YYYY: String(date.getUTCFullYear()),
+    YY: String(date.getUTCFullYear()).slice(-2),
+    MMMM: MONTHS[date.getUTCMonth()],
+    MMM: MONTHS[date.getUTCMonth()].slice(0, 3),
+    MM: pad(date.getUTCMonth() + 1),
+    M: String(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    D: String(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+  return pattern.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|mm|ss/g, token => tokens[token]);
+};
+
+// Text shown for a value in a column
+const formatValue = (value, column, locale = 'en-US') => {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+
+  if (column.format === 'date') {
+    return formatDate(value, column.dateFormat || 'YYYY-MM-DD');
+  }
+
+  const number = toNumber(value);
+  if (column.format === 'text' || number === null) return String(value);
+
+  const decimals = column.decimals === undefined ? null : Math.min(20, Math.max(0, parseInt(column.decimals) || 0));
+  const digits = (fallbackDecimals) => {
+    const fixed = decimals === null ? fallbackDecimals : decimals;
+    return fixed === null ? {} : { minimumFractionDigits: fixed, maximumFractionDigits: fixed };
+  };
+
+  switch (column.format) {
+    case 'integer':
+      return new Intl.NumberFormat(locale, { maximumFractionDigits: 0 }).format(number);
+    case 'currency':
+      return new Intl.NumberFormat(locale, { style: 'currency', currency: column.currency || 'USD', ...digits(null) }).format(number);
+    case 'percent':
+      // Values are fractions: 0.25 is 25%
+      return new Intl.NumberFormat(locale, { style: 'percent', ...digits(0) }).format(number);
+    default:
+      return new Intl.NumberFormat(locale, digits(null)).format(number);
+  }
+};
+
+// Total of one column over some records, or '' when it has no total
+const columnTotal = (column, records, locale) => {
+  if (!column.total) return '';
+  const values = records.map(record => record[column.key]);
+  if (column.total === 'count') {
+    return String(values.filter(value => value !== '' && value !== null && value !== undefined).length);
+  }
+
+  const numbers = values.map(toNumber).filter(number => number !== null);
+  if (numbers.length === 0) return '';
+
+  let total;
+  if (column.total === 'sum') total = numbers.reduce((a, b) => a + b, 0);
+  else if (column.total === 'average') total = numbers.reduce((a, b) => a + b, 0) / numbers.length;
+  else if (column.total === 'min') total = Math.min(...numbers);
+  else total = Math.max(...numbers);
+
+  // Plain text columns are totalled as numbers with their own decimals
+  const format = column.format === 'text' || column.format === 'date' ? 'number' : column.format;
+  return formatValue(total, { ...column, format }, locale);
+};
+
+// Label of the row that closes a group, with the number of records in it
+const subtotalLabel = (value, count) => `Subtotal: ${value} (${count} row${count === 1 ? '' : 's'})`;
+
+// Natural column widths in points: the width given in the column spec, or an
+// estimate from the longest label, value or total. The first column also holds
+// the subtotal labels.
+const estimateColumnWidths = (columns, records, { fontSize = 9, locale = 'en-US', groupBy = null } = {}) => (
+  columns.map((column, index) => {
+    if (parseFloat(column.width) > 0) return parseFloat(column.width);
+    const texts = [
+      column.label,
+      columnTotal(column, records, locale),
+      ...records.map(record => formatValue(record[column.key], column, locale)),
+      ...(index === 0 && groupBy ? records.map(record => subtotalLabel(record[groupBy], records.length)) : [])
+    ];
+    const longest = Math.max(...texts.map(text => text.length));
+    return Math.min(200, longest * fontSize * 0.55 + 10);
+  })
+);
+
+// Draw a report on a PDFKit document: a title block, then the records as a
+// table whose header repeats on every page. Rows are striped when zebra is
+// set. With groupBy, a subtotal row with the record count follows each run of
+// records sharing that column's value, so records should come sorted by it; a
+// grand total row ends the table whenever a column has a total. Footers with page numbers need the document's bufferPages option.
+const drawDataReport = (doc, report) => {
+  const {
+    title,
+    subtitle,
+    columns,
+    records,
+    groupBy = null,
+    zebra = true,
+    locale = 'en-US',
+    fontSize = 9,
+    columnWidths,
+    generatedAt = new Date()
+  } = report;
+
+  const left = doc.page.margins.left;
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // Title block
+  if (title) {
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('#000000').text(title, left, doc.y, { width: contentWidth });
+  }
+  if (subtitle) {
+    doc.font('Helvetica').fontSize(11).fillColor('#444444').text(subtitle, { width: contentWidth });
+  }
+  doc.font('Helvetica').fontSize(8).fillColor('#777777')
+    .text(`${records.length} row${records.length === 1 ? '' : 's'} · Generated ${formatDate(generatedAt, 'D MMMM YYYY HH:mm')} UTC`, { width: contentWidth });
+  doc.moveDown(0.4);
+  doc.save().lineWidth(1).strokeColor('#333333')
+    .moveTo(left, doc.y).lineTo(left + contentWidth, doc.y).stroke().restore();
+  doc.moveDown(0.6);
+  doc.fillColor('#000000');
+
+  const hasTotals = columns.some(column => column.total);
+  const totalRow = (label, subset, fill) => columns.map((column, index) => {
+    const total = columnTotal(column, subset, locale);
+    return {
+      text: index === 0 && !total ? label : total,
+      bold: true,
+      align: index === 0 && !total ? 'left' : column.align,
+      fill
+    };
+  });
+
+  const rows = [columns.map(column => ({ text: column.label, align: column.align }))];
+  let stripe = 0;
+  records.forEach((record, index) => {
+    rows.push(columns.map(column => ({
+      text: formatValue(record[column.key], column, locale),
+      fill: zebra && stripe % 2 === 1 ? '#f3f5f8' : null
+    })));
+    stripe++;
+
+    const next = records[index + 1];
+    if (groupBy && (!next || String(next[groupBy]) !== String(record[groupBy]))) {
+      const group = [];
+      for (let i = index; i >= 0 && String(records[i][groupBy]) === String(record[groupBy]); i--) {
+        group.unshift(records[i]);
+      }
+      rows.push(totalRow(subtotalLabel(record[groupBy], group.length), group, '#e6e9ef'));
+      stripe = 0;
+    }
+  });
+
+  if (hasTotals) {
+    rows.push(totalRow('Total', records, '#d5dae3'));
+  }
+
+  drawTable(doc, rows, {
+    columnWidths,
+    columnAligns: columns.map(column => column.align),
+    headerRows: 1,
+    repeatHeader: true,
+    fontSize,
+    headerFill: '#dfe3ea'
+  });
+
+  // Footer on every page: the title and "Page N of M"
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    const footerY = doc.page.height - bottomMargin / 2 - 4;
+    doc.font('Helvetica').fontSize(7).fillColor('#777777');
+    if (title) {
+      doc.text(title, left, footerY, { width: contentWidth / 2, lineBreak: false, ellipsis: true });
+    }
+    doc.text(`Page ${i - range.start + 1} of ${range.count}`, left, footerY, { width: contentWidth, align: 'right', lineBreak: false });
+    doc.page.margins.bottom = bottomMargin;
+  }
+  doc.fillColor('#000000');
+};
+
+module.exports = {
+  readDataRows,
+  resolveColumns,
+  estimateColumnWidths,
+  drawDataReport
+};
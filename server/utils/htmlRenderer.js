@@ -0,0 +1,597 @@
+const fs = require('fs');
+const path = require('path');
+const PDFKit = require('pdfkit');
+const Jimp = require('jimp');
+const { parseDocument } = require('htmlparser2');
+const { drawTable } = require('./pdfTable');
+const { parseStylesheet, computeDeclarations, toPoints, toColor } = require('./css');
+
+// Render an HTML fragment (as produced by mammoth or written by hand) into a
+// PDF with PDFKit. Supports headings, paragraphs, bold/italic/underline runs,
+// nested lists, tables, links, images and page breaks, either explicit
+// (<hr class="page-break">) or from CSS page-break-before/after. Basic CSS from
+// <style> blocks and style attributes is honoured: font-size, font-weight,
+// font-style, font-family (monospace), color, text-align, text-decoration,
+// background-color on table cells and display: none.
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'div', 'dl', 'dd', 'dt',
+  'figure', 'figcaption', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hr', 'html', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+const SKIP_TAGS = new Set(['head', 'script', 'style', 'title', 'meta', 'link', 'noscript']);
+
+const HEADING_SIZES = { h1: 24, h2: 20, h3: 16, h4: 14, h5: 12, h6: 11 };
+
+const BULLETS = ['•', '–', '·'];
+
+const isBlock = (node) => node.type === 'tag' && BLOCK_TAGS.has(node.name);
+
+const fontFor = (style) => {
+  const family = style.monospace ? 'Courier' : 'Helvetica';
+  if (style.bold && style.italic) return `${family}-BoldOblique`;
+  if (style.bold) return `${family}-Bold`;
+  if (style.italic) return `${family}-Oblique`;
+  return family;
+};
+
+// Apply the formatting an inline or block tag implies to the inherited style
+const styleForTag = (node, parent) => {
+  const style = { ...parent };
+  switch (node.name) {
+    case 'b':
+    case 'strong':
+    case 'th':
+      style.bold = true;
+      break;
+    case 'i':
+    case 'em':
+    case 'cite':
+      style.italic = true;
+      break;
+    case 'u':
+    case 'ins':
+      style.underline = true;
+      break;
+    case 's':
+    case 'strike':
+    case 'del':
+      style.strike = true;
+      break;
+    case 'code':
+    case 'kbd':
+    case 'samp':
+    case 'tt':
+      style.monospace = true;
+      break;
+    case 'pre':
+      style.monospace = true;
+      style.preformatted = true;
+      break;
+    case 'a':
+      // In-document anchors have no target page to jump to, so only keep real links
+      if (node.attribs.href && !node.attribs.href.startsWith('#')) {
+        style.link = node.attribs.href;
+        style.color = '#1a0dab';
+      }
+      break;
+    case 'sup':
+    case 'sub':
+      style.size = parent.size * 0.7;
+      break;
+    default:
+      if (HEADING_SIZES[node.name]) {
+        style.size = HEADING_SIZES[node.name];
+        style.bold = true;
+      }
+  }
+  return style;
+};
+
+// Layer CSS declarations over a style. Only inherited properties live on the
+// style object; box properties such as page breaks are read where needed.
+const applyDeclarations = (style, declarations, parent) => {
+  const fontSize = toPoints(declarations['font-size'], parent.size);
+  if (fontSize) style.size = fontSize;
+
+  const weight = declarations['font-weight'];
+  if (weight) style.bold = weight === 'bold' || weight === 'bolder' || parseInt(weight) >= 600;
+
+  const fontStyle = declarations['font-style'];
+  if (fontStyle) style.italic = fontStyle === 'italic' || fontStyle === 'oblique';
+
+  const family = declarations['font-family'];
+  if (family) style.monospace = /mono|courier|consolas/i.test(family);
+
+  const color = toColor(declarations.color);
+  if (color) style.color = color;
+
+  const align = declarations['text-align'];
+  if (['left', 'right', 'center', 'justify'].includes(align)) style.align = align;
+
+  const decoration = declarations['text-decoration'] || declarations['text-decoration-line'];
+  if (decoration) {
+    style.underline = decoration.includes('underline');
+    style.strike = decoration.includes('line-through');
+  }
+
+  if (declarations.display === 'none' || declarations.visibility === 'hidden') style.hidden = true;
+
+  return style;
+};
+
+// Flatten inline content into runs of identically styled text. Images become
+// their own runs so they can be placed between text lines.
+const collectRuns = (nodes, style, styleFor, runs = []) => {
+  nodes.forEach(node => {
+    if (node.type === 'text') {
+      const text = style.preformatted ? node.data : node.data.replace(/\s+/g, ' ');
+      if (text) runs.push({ text, style });
+    } else if (node.type === 'tag' && !SKIP_TAGS.has(node.name)) {
+      const nodeStyle = styleFor(node, style);
+      if (nodeStyle.hidden) return;
+      if (node.name === 'br') {
+        runs.push({ text: '\n', style });
+      } else if (node.name === 'img') {
+        runs.push({ image: node, style });
+      } else {
+        collectRuns(node.children || [], nodeStyle, styleFor, runs);
+      }
+    }
+  });
+  return runs;
+};
+
+// Drop leading and trailing collapsible whitespace from a list of runs
+const trimRuns = (runs) => {
+  const trimmed = runs.map(run => ({ ...run }));
+  const isText = run => run.text !== undefined && !run.style.preformatted;
+
+  while (trimmed.length && isText(trimmed[0]) && !trimmed[0].text.replace(/^[ \n]+/, '')) trimmed.shift();
+  while (trimmed.length && isText(trimmed[trimmed.length - 1]) && !trimmed[trimmed.length - 1].text.replace(/[ \n]+$/, '')) trimmed.pop();
+
+  if (trimmed.length && isText(trimmed[0])) trimmed[0].text = trimmed[0].text.replace(/^ +/, '');
+  const last = trimmed[trimmed.length - 1];
+  if (last && isText(last)) last.text = last.text.replace(/ +$/, '');
+
+  return trimmed;
+};
+
+const isJpeg = (buffer) => buffer.length > 2 && buffer[0] === 0xff && buffer[1] === 0xd8;
+const isPng = (buffer) => buffer.length > 4 && buffer.readUInt32BE(0) === 0x89504e47;
+
+// Percentages in width attributes are relative to the containing width
+const widthFromHint = (hint, containerWidth) => {
+  if (!hint) return null;
+  const text = String(hint).trim();
+  if (text.endsWith('%')) return `${parseFloat(text) * containerWidth / 100}pt`;
+  return /^[\d.]+$/.test(text) ? `${text}px` : text;
+};
+
+// Turn per-column width hints into widths; columns without a hint share what is left
+const resolveColumnWidths = (hints, rows, tableWidth) => {
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const widths = Array.from({ length: columnCount }, (_, i) => (
+    toPoints(widthFromHint(hints[i], tableWidth), tableWidth) || null
+  ));
+  const used = widths.reduce((total, width) => total + (width || 0), 0);
+  const unset = widths.filter(width => !width).length;
+  const share = unset ? Math.max(20, (tableWidth - used) / unset) : 0;
+  return widths.map(width => width || share);
+};
+
+// Walks the DOM and draws into `doc`. Every render function takes a box
+// { x, width } so lists and blockquotes can indent their content.
+const createHtmlRenderer = (doc, options = {}) => {
+  const imageCache = new Map();
+  const rules = options.rules || [];
+
+  const styleFor = (node, parent) => applyDeclarations(
+    styleForTag(node, parent),
+    computeDeclarations(node, rules),
+    parent
+  );
+
+  const isPageBreak = (value) => value === 'always' || value === 'page' || value === 'left' || value === 'right';
+
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  // A break after an element waits until something else is drawn, so the
+  // last element on the page never leaves a blank page behind it
+  let pendingBreak = false;
+
+  // Every drawing path calls this first
+  const ensureSpace = (height) => {
+    if (pendingBreak) {
+      pendingBreak = false;
+      doc.addPage();
+      return;
+    }
+    if (doc.y + height > bottom() && doc.y > doc.page.margins.top) {
+      doc.addPage();
+    }
+  };
+
+  const renderChildren = async (nodes, style, box) => {
+    let inline = [];
+    for (const node of nodes) {
+      if (node.type === 'tag' && SKIP_TAGS.has(node.name)) continue;
+      if (node.type === 'tag' && styleFor(node, style).hidden) continue;
+      if (isBlock(node)) {
+        await renderInline(inline, style, box);
+        inline = [];
+        await renderBlock(node, style, box);
+      } else if (node.type === 'tag' || node.type === 'text') {
+        inline.push(node);
+      }
+    }
+    await renderInline(inline, style, box);
+  };
+
+  const renderBlock = async (node, parentStyle, box) => {
+    const style = styleFor(node, parentStyle);
+    const declarations = computeDeclarations(node, rules);
+
+    // A pending break already starts the next element on a new page
+    if (isPageBreak(declarations['page-break-before'] || declarations['break-before']) &&
+      !pendingBreak && doc.y > doc.page.margins.top) {
+      doc.addPage();
+    }
+
+    await renderBlockContent(node, style, box);
+
+    if (isPageBreak(declarations['page-break-after'] || declarations['break-after'])) {
+      pendingBreak = true;
+    }
+  };
+
+  const renderBlockContent = async (node, style, box) => {
+    switch (node.name) {
+      case 'hr':
+        if ((node.attribs.class || '').split(/\s+/).includes('page-break')) {
+          // Deferred like page-break-after, so a trailing or repeated break
+          // leaves no blank page
+          if (doc.y > doc.page.margins.top) pendingBreak = true;
+        } else {
+          ensureSpace(12);
+          const y = doc.y + 4;
+          doc.save().lineWidth(0.5).strokeColor('#999999')
+            .moveTo(box.x, y).lineTo(box.x + box.width, y).stroke().restore();
+          doc.y = y + 8;
+        }
+        return;
+      case 'ul':
+      case 'ol':
+        await renderList(node, style, box);
+        return;
+      case 'table':
+        renderTable(node, style, box);
+        return;
+      case 'blockquote':
+        await renderChildren(node.children, { ...style, color: '#555555' }, {
+          x: box.x + 20,
+          width: box.width - 20
+        });
+        return;
+      default:
+        if (HEADING_SIZES[node.name]) {
+          ensureSpace(style.size * 2.5);
+          doc.y += style.size * 0.4;
+        }
+        await renderChildren(node.children, style, box);
+        if (HEADING_SIZES[node.name]) {
+          doc.y += style.size * 0.2;
+        }
+    }
+  };
+
+  const renderInline = async (nodes, style, box) => {
+    if (!nodes.length) return;
+
+    const runs = trimRuns(collectRuns(nodes, style, styleFor));
+    if (!runs.length) return;
+
+    // Split into text segments separated by images
+    let segment = [];
+    for (const run of runs) {
+      if (run.image) {
+        renderRuns(trimRuns(segment), box);
+        segment = [];
+        await renderImage(run.image, box);
+      } else {
+        segment.push(run);
+      }
+    }
+    renderRuns(trimRuns(segment), box);
+  };
+
+  const renderRuns = (runs, box, runOptions = {}) => {
+    if (!runs.length) return;
+
+    const paragraphGap = runOptions.paragraphGap === undefined ? 6 : runOptions.paragraphGap;
+    ensureSpace(runs[0].style.size * 1.2);
+
+    runs.forEach((run, index) => {
+      const runStyle = run.style;
+      doc.font(fontFor(runStyle)).fontSize(runStyle.size).fillColor(runStyle.color || '#000000');
+
+      const textOptions = {
+        width: box.width,
+        align: runStyle.align || 'left',
+        continued: index < runs.length - 1,
+        link: runStyle.link || null,
+        underline: !!(runStyle.underline || runStyle.link),
+        strike: !!runStyle.strike,
+        lineBreak: true
+      };
+
+      if (index === 0) {
+        doc.text(run.text, box.x, doc.y, textOptions);
+      } else {
+        doc.text(run.text, textOptions);
+      }
+    });
+
+    doc.fillColor('#000000');
+    doc.x = box.x;
+    doc.y += paragraphGap;
+  };
+
+  const renderList = async (node, style, box, level = 0) => {
+    const ordered = node.name === 'ol';
+    let counter = parseInt(node.attribs.start) || 1;
+    const indent = 18;
+
+    for (const item of node.children) {
+      if (item.type !== 'tag' || item.name !== 'li') continue;
+
+      const marker = ordered ? `${counter++}.` : BULLETS[level % BULLETS.length];
+      const itemBox = { x: box.x + indent, width: box.width - indent };
+
+      // Nested lists are rendered after the item's own text at a deeper level
+      const content = item.children.filter(child => !(child.type === 'tag' && (child.name === 'ul' || child.name === 'ol')));
+      const nested = item.children.filter(child => child.type === 'tag' && (child.name === 'ul' || child.name === 'ol'));
+
+      ensureSpace(style.size * 1.4);
+      const y = doc.y;
+      doc.font(fontFor(style)).fontSize(style.size).fillColor('#000000');
+      doc.text(marker, box.x, y, { width: indent - 2, lineBreak: false });
+      doc.y = y;
+
+      await renderListItem(content, style, itemBox);
+
+      for (const list of nested) {
+        await renderList(list, styleFor(list, style), itemBox, level + 1);
+      }
+    }
+
+    doc.x = box.x;
+    if (level === 0) doc.y += 4;
+  };
+
+  const renderListItem = async (nodes, style, box) => {
+    const startY = doc.y;
+    // List items sit closer together than paragraphs
+    const inline = nodes.filter(node => !isBlock(node));
+    if (inline.length === nodes.length) {
+      const runs = trimRuns(collectRuns(inline, style, styleFor));
+      if (runs.length && !runs.some(run => run.image)) {
+        renderRuns(runs, box, { paragraphGap: 2 });
+        return;
+      }
+    }
+    await renderChildren(nodes, style, box);
+    if (doc.y === startY) {
+      doc.y += style.size * 1.2;
+    }
+  };
+
+  const renderTable = (node, style, box) => {
+    const rows = [];
+    let headerRows = 0;
+    let inBody = false;
+    let widthHints = null;
+
+    const visit = (parent, section) => {
+      parent.children.forEach(child => {
+        if (child.type !== 'tag' || styleFor(child, style).hidden) return;
+        if (['thead', 'tbody', 'tfoot'].includes(child.name)) {
+          visit(child, child.name);
+        } else if (child.name === 'tr') {
+          const cells = [];
+          const hints = [];
+          let allHeaders = true;
+          child.children.forEach(cell => {
+            if (cell.type !== 'tag' || !['td', 'th'].includes(cell.name)) return;
+            if (cell.name !== 'th') allHeaders = false;
+
+            const cellStyle = styleFor(cell, style);
+            const declarations = computeDeclarations(cell, rules);
+            const text = trimRuns(collectRuns(cell.children, cellStyle, styleFor))
+              .filter(run => run.text !== undefined)
+              .map(run => run.text)
+              .join('');
+
+            cells.push({
+              text,
+              bold: cellStyle.bold,
+              align: cellStyle.align || cell.attribs.align,
+              color: cellStyle.color,
+              fill: toColor(declarations['background-color'] || declarations.background || cell.attribs.bgcolor)
+            });
+            hints.push(cell.attribs.width || declarations.width);
+
+            const span = parseInt(cell.attribs.colspan) || 1;
+            for (let i = 1; i < span; i++) {
+              cells.push('');
+              hints.push(null);
+            }
+          });
+
+          // Column widths come from the first row that sets any
+          if (!widthHints && hints.some(Boolean)) widthHints = hints;
+
+          // Header rows are thead rows, or leading rows made only of <th>
+          if (!inBody && (section === 'thead' || (allHeaders && cells.length))) {
+            headerRows++;
+          } else {
+            inBody = true;
+          }
+          rows.push(cells);
+        }
+      });
+    };
+    visit(node, null);
+
+    if (!rows.length) return;
+
+    const tableDeclarations = computeDeclarations(node, rules);
+    const tableWidth = Math.min(
+      box.width,
+      toPoints(widthFromHint(tableDeclarations.width || node.attribs.width, box.width), box.width) || box.width
+    );
+
+    ensureSpace(style.size * 3);
+    drawTable(doc, rows, {
+      x: box.x,
+      width: tableWidth,
+      columnWidths: widthHints ? resolveColumnWidths(widthHints, rows, tableWidth) : undefined,
+      headerRows,
+      fontSize: Math.max(7, style.size - 1),
+      gridlines: node.attribs.border !== '0' && !/^(none|0)/.test(tableDeclarations.border || '')
+    });
+    doc.y += 8;
+  };
+
+  const loadImage = async (src) => {
+    if (imageCache.has(src)) return imageCache.get(src);
+
+    let buffer = null;
+    const dataUri = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(src || '');
+    if (dataUri) {
+      buffer = dataUri[2]
+        ? Buffer.from(dataUri[3], 'base64')
+        : Buffer.from(decodeURIComponent(dataUri[3]));
+    } else if (options.resolveImage) {
+      buffer = await options.resolveImage(src);
+    }
+
+    // PDFKit only understands JPEG and PNG; convert anything else through Jimp
+    if (buffer && !isJpeg(buffer) && !isPng(buffer)) {
+      try {
+        const image = await Jimp.read(buffer);
+        buffer = await image.getBufferAsync(Jimp.MIME_PNG);
+      } catch (error) {
+        buffer = null;
+      }
+    }
+
+    imageCache.set(src, buffer);
+    return buffer;
+  };
+
+  const renderImage = async (node, box) => {
+    const buffer = await loadImage(node.attribs.src);
+    if (!buffer) return;
+
+    let image;
+    try {
+      image = doc.openImage(buffer);
+    } catch (error) {
+      return;
+    }
+
+    // HTML sizes are CSS pixels; 1px = 0.75pt
+    const attrWidth = parseFloat(node.attribs.width);
+    const attrHeight = parseFloat(node.attribs.height);
+    let width = attrWidth ? attrWidth * 0.75 : image.width * 0.75;
+    let height = attrHeight ? attrHeight * 0.75 : (attrWidth ? width * image.height / image.width : image.height * 0.75);
+
+    const maxHeight = bottom() - doc.page.margins.top;
+    const scale = Math.min(1, box.width / width, maxHeight / height);
+    width *= scale;
+    height *= scale;
+
+    ensureSpace(height);
+    doc.image(image, box.x, doc.y, { width, height });
+    doc.x = box.x;
+    doc.y += height + 6;
+  };
+
+  return { renderChildren };
+};
+
+// Render HTML to a PDF file. Resolves once the file has been written.
+// `margin` is a number of points or { top, right, bottom, left }.
+// `resolveImage(src)` may return a Buffer for image sources that are not data URIs.
+const renderHtmlToPdf = async (html, outputPath, options = {}) => {
+  const {
+    size = 'A4',
+    margin = 50,
+    fontSize = 11
+  } = options;
+
+  const doc = new PDFKit({
+    size,
+    margins: typeof margin === 'object'
+      ? margin
+      : { top: margin, right: margin, bottom: margin, left: margin }
+  });
+  const stream = fs.createWriteStream(outputPath);
+  doc.pipe(stream);
+
+  const dom = parseDocument(html);
+
+  // Gather <style> blocks from anywhere in the document
+  const styleText = [];
+  const findStyles = (nodes) => nodes.forEach(node => {
+    if (node.type === 'style' || (node.type === 'tag' && node.name === 'style')) {
+      styleText.push((node.children || []).map(child => child.data || '').join(''));
+    } else if (node.children) {
+      findStyles(node.children);
+    }
+  });
+  findStyles(dom.children);
+
+  const renderer = createHtmlRenderer(doc, {
+    ...options,
+    rules: parseStylesheet(styleText.join('\n'))
+  });
+  const baseStyle = { size: fontSize, color: '#000000' };
+
+  try {
+    await renderer.renderChildren(dom.children, baseStyle, {
+      x: doc.page.margins.left,
+      width: doc.page.width - doc.page.margins.left - doc.page.margins.right
+    });
+  } finally {
+    doc.end();
+  }
+
+  await new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+};
+
+// Build a resolveImage for renderHtmlToPdf from uploaded assets: a Map of
+// relative path to an async loader returning a Buffer. Sources are matched by
+// path, then by file name; remote URLs and malformed references resolve to
+// null.
+const createAssetResolver = (assets) => async (src) => {
+  if (!src || /^[a-z]+:/i.test(src)) return null; // remote images are not fetched
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(src.split(/[?#]/)[0]);
+  } catch (decodeError) {
+    return null;
+  }
+
+  const cleaned = path.posix.normalize(decoded).replace(/^(\.\/|\/)+/, '');
+  const loader = assets.get(cleaned) || assets.get(path.posix.basename(cleaned));
+  return loader ? loader() : null;
+};
+
+module.exports = { renderHtmlToPdf, createAssetResolver };
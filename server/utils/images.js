@@ -0,0 +1,620 @@
+const fs = require('fs');
+
+// Try to load Sharp, fallback to Jimp if Sharp fails
+let sharp;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  console.warn('Sharp not available, using Jimp as fallback for image processing');
+  sharp = null;
+}
+
+const Jimp = require('jimp');
+
+// Standard page sizes in PDF points (1/72 inch), portrait
+const PAGE_SIZES = {
+  A3: [841.89, 1190.55],
+  A4: [595.28, 841.89],
+  A5: [419.53, 595.28],
+  Letter: [612, 792],
+  Legal: [612, 1008]
+};
+
+// Look up a named page size case-insensitively. Returns null for unknown names.
+const getPageSize = (name) => {
+  const key = Object.keys(PAGE_SIZES).find(size => size.toLowerCase() === String(name).toLowerCase());
+  return key ? PAGE_SIZES[key] : null;
+};
+
+// Work out the page size and where the image goes on it.
+// fitMode: 'fit' scales the whole image into the content box, 'fill' covers the
+// box and crops the overflow, 'center' keeps the image at 1px = 1pt unless it
+// is larger than the box, in which case it is shrunk to fit.
+const layoutImage = (imageWidth, imageHeight, options = {}) => {
+  const {
+    pageSize = 'image',
+    orientation = 'auto',
+    fitMode = 'fit',
+    margin = 0
+  } = options;
+
+  let pageWidth, pageHeight;
+  const size = getPageSize(pageSize);
+
+  if (Array.isArray(pageSize)) {
+    // An exact [width, height] in points, used as given
+    [pageWidth, pageHeight] = pageSize;
+  } else if (!size) {
+    // Page takes the image's own size plus margins
+    pageWidth = imageWidth + margin * 2;
+    pageHeight = imageHeight + margin * 2;
+  } else {
+    const landscape = orientation === 'landscape' ||
+      (orientation === 'auto' && imageWidth > imageHeight);
+    [pageWidth, pageHeight] = landscape ? [size[1], size[0]] : size;
+  }
+
+  const boxWidth = Math.max(1, pageWidth - margin * 2);
+  const boxHeight = Math.max(1, pageHeight - margin * 2);
+  const fitScale = Math.min(boxWidth / imageWidth, boxHeight / imageHeight);
+
+  let scale;
+  let crop = null;
+  if (fitMode === 'fill') {
+    scale = Math.max(boxWidth / imageWidth, boxHeight / imageHeight);
+    // Crop the source so it matches the box aspect ratio exactly
+    const cropWidth = Math.min(imageWidth, Math.round(boxWidth / scale));
+    const cropHeight = Math.min(imageHeight, Math.round(boxHeight / scale));
+    crop = {
+      left: Math.floor((imageWidth - cropWidth) / 2),
+      top: Math.floor((imageHeight - cropHeight) / 2),
+      width: cropWidth,
+      height: cropHeight
+    };
+  } else if (fitMode === 'center') {
+    scale = Math.min(1, fitScale);
+  } else {
+    scale = fitScale;
+  }
+
+  const drawWidth = crop ? boxWidth : imageWidth * scale;
+  const drawHeight = crop ? boxHeight : imageHeight * scale;
+
+  return {
+    pageWidth,
+    pageHeight,
+    crop,
+    x: (pageWidth - drawWidth) / 2,
+    y: (pageHeight - drawHeight) / 2,
+    width: drawWidth,
+    height: drawHeight
+  };
+};
+
+// Image types accepted for conversion. WebP and AVIF can only be decoded by
+// sharp; Jimp handles the rest.
+const IMAGE_TYPES = [
+  'image/jpeg',
+  'image/jpg',
+  'image/png',
+  'image/gif',
+  'image/bmp',
+  'image/x-ms-bmp',
+  'image/tiff',
+  'image/webp',
+  'image/avif'
+];
+
+const SHARP_ONLY_TYPES = ['image/webp', 'image/avif'];
+
+// Whether an uploaded image can be decoded with the libraries available
+const canDecodeImage = (mimetype) => (
+  IMAGE_TYPES.includes(mimetype) && (sharp !== null || !SHARP_ONLY_TYPES.includes(mimetype))
+);
+
+const isTiff = (inputPath) => {
+  const header = Buffer.alloc(4);
+  const fd = fs.openSync(inputPath, 'r');
+  try {
+    fs.readSync(fd, header, 0, 4, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return header.toString('latin1', 0, 2) === 'II' || header.toString('latin1', 0, 2) === 'MM';
+};
+
+// Jimp only decodes the first page of a TIFF, so other pages are decoded with
+// UTIF (which Jimp uses internally) and wrapped in a Jimp image
+const readJimpImage = async (inputPath, frame = 0) => {
+  if (frame === 0 || !isTiff(inputPath)) {
+    return Jimp.read(inputPath);
+  }
+
+  const UTIF = require('utif2');
+  const data = fs.readFileSync(inputPath);
+  const ifds = UTIF.decode(data);
+  const ifd = ifds[frame];
+  if (!ifd) throw new Error(`TIFF page ${frame + 1} does not exist`);
+  UTIF.decodeImage(data, ifd);
+  return new Jimp({ data: Buffer.from(UTIF.toRGBA8(ifd)), width: ifd.width, height: ifd.height });
+};
+
+// Number of frames (pages) in an image: TIFF pages, or 1 for everything else.
+// Animated GIF and WebP frames are not split; only the first one is used.
+const countImageFrames = async (inputPath) => {
+  if (sharp) {
+    const metadata = await sharp(inputPath).metadata();
+    return metadata.format === 'tiff' ? (metadata.pages || 1) : 1;
+  }
+
+  if (!isTiff(inputPath)) return 1;
+  const UTIF = require('utif2');
+  return Math.max(1, UTIF.decode(fs.readFileSync(inputPath)).length);
+};
+
+// Read an image with its EXIF orientation applied and return its pixel size
+const readImageSize = async (inputPath, frame = 0) => {
+  if (sharp) {
+    const metadata = await sharp(inputPath, { page: frame }).metadata();
+    // EXIF orientations 5-8 are rotated by 90 degrees, so width and height swap
+    return metadata.orientation >= 5
+      ? { width: metadata.height, height: metadata.width }
+      : { width: metadata.width, height: metadata.height };
+  }
+
+  // Jimp applies the EXIF orientation while decoding
+  const image = await readJimpImage(inputPath, frame);
+  return { width: image.getWidth(), height: image.getHeight() };
+};
+
+// Decide whether an image should be embedded losslessly. Photos go in as JPEG;
+// images with transparency or few colours (line art, screenshots, fax pages)
+// would be blurred or lose their alpha, so they stay PNG.
+const prefersLossless = async (inputPath, frame = 0) => {
+  let data, channels, hasAlpha;
+
+  if (sharp) {
+    const metadata = await sharp(inputPath).metadata();
+    if (metadata.format === 'jpeg') return false;
+    const raw = await sharp(inputPath, { page: frame }).raw().toBuffer({ resolveWithObject: true });
+    data = raw.data;
+    channels = raw.info.channels;
+    hasAlpha = channels === 4 || channels === 2;
+  } else {
+    const image = await readJimpImage(inputPath, frame);
+    if (image.getMIME() === Jimp.MIME_JPEG) return false;
+    data = image.bitmap.data;
+    channels = 4;
+    hasAlpha = true;
+  }
+
+  // Sample up to ~100k pixels for transparency and the number of colours
+  const pixels = data.length / channels;
+  const step = Math.max(1, Math.floor(pixels / 100000));
+  const colors = new Set();
+  for (let i = 0; i < pixels; i += step) {
+    const offset = i * channels;
+    if (hasAlpha && data[offset + channels - 1] < 255) return true;
+    if (colors.size <= 256) {
+      colors.add(channels >= 3
+        ? (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2]
+        : data[offset]);
+    }
+  }
+  return colors.size <= 256;
+};
+
+// Produce an upright image buffer, cropped to `crop` (if any) and downsampled
+// so it is no larger than targetWidth x targetHeight pixels. format 'jpeg'
+// flattens onto white; 'png' is lossless and keeps transparency.
+const renderImage = async (inputPath, options = {}) => {
+  const {
+    crop = null,
+    targetWidth,
+    targetHeight,
+    quality = 90,
+    frame = 0,
+    format = 'jpeg'
+  } = options;
+
+  if (sharp) {
+    let pipeline = sharp(inputPath, { page: frame }).rotate();
+    if (crop) {
+      pipeline = pipeline.extract(crop);
+    }
+    if (targetWidth && targetHeight) {
+      pipeline = pipeline.resize(Math.round(targetWidth), Math.round(targetHeight), {
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+    }
+    return format === 'png'
+      ? pipeline.png({ compressionLevel: 9 }).toBuffer()
+      : pipeline.flatten({ background: '#ffffff' }).jpeg({ quality }).toBuffer();
+  }
+
+  const image = await readJimpImage(inputPath, frame);
+  if (crop) {
+    image.crop(crop.left, crop.top, crop.width, crop.height);
+  }
+  if (targetWidth && targetHeight &&
+    (image.getWidth() > targetWidth || image.getHeight() > targetHeight)) {
+    image.scaleToFit(Math.round(targetWidth), Math.round(targetHeight));
+  }
+  const buffer = format === 'png'
+    ? await image.getBufferAsync(Jimp.MIME_PNG)
+    : await image.background(0xffffffff).quality(quality).getBufferAsync(Jimp.MIME_JPEG);
+
+  // Small buffers can be slices of Node's shared pool, and pdf-lib reads the
+  // underlying memory from offset 0, so hand back a buffer of its own
+  const owned = Buffer.alloc(buffer.length);
+  buffer.copy(owned);
+  return owned;
+};
+
+// Add an image to a pdf-lib document as pages, one per TIFF frame, laid out
+// with layoutImage and embedded at `dpi`. imageFormat auto keeps photos as
+// JPEG and transparency and line art lossless. Returns the pages added.
+const addImagePages = async (pdfDoc, inputPath, options = {}) => {
+  const {
+    pageSize = 'image',
+    orientation = 'auto',
+    fitMode = 'fit',
+    margin = 0,
+    dpi = 200,
+    imageFormat = 'auto'
+  } = options;
+
+  const pages = [];
+  const frameCount = await countImageFrames(inputPath);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const { width, height } = await readImageSize(inputPath, frame);
+    const layout = layoutImage(width, height, { pageSize, orientation, fitMode, margin });
+
+    const lossless = imageFormat === 'png' ||
+      (imageFormat === 'auto' && await prefersLossless(inputPath, frame));
+
+    // Downsample to the resolution actually needed on the page
+    const imageBuffer = await renderImage(inputPath, {
+      crop: layout.crop,
+      targetWidth: layout.width * dpi / 72,
+      targetHeight: layout.height * dpi / 72,
+      frame,
+      format: lossless ? 'png' : 'jpeg'
+    });
+
+    const pdfImage = lossless
+      ? await pdfDoc.embedPng(imageBuffer)
+      : await pdfDoc.embedJpg(imageBuffer);
+    const page = pdfDoc.addPage([layout.pageWidth, layout.pageHeight]);
+
+    page.drawImage(pdfImage, {
+      x: layout.x,
+      y: layout.y,
+      width: layout.width,
+      height: layout.height,
+    });
+    pages.push(page);
+  }
+
+  return pages;
+};
+
+// Formats the image tools can write. Jimp has no WebP or AVIF encoder.
+const OUTPUT_FORMATS = ['jpeg', 'png', 'webp', 'avif'];
+
+const FORMAT_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', avif: 'avif' };
+
+const canEncodeImage = (format) => (
+  OUTPUT_FORMATS.includes(format) && (sharp !== null || !['webp', 'avif'].includes(format))
+);
+
+// Identify an image file from its first bytes: jpeg, png, gif, bmp, tiff,
+// webp or avif. Returns null for anything else.
+const detectImageFormat = (inputPath) => {
+  const header = Buffer.alloc(16);
+  const fd = fs.openSync(inputPath, 'r');
+  try {
+    fs.readSync(fd, header, 0, 16, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (header[0] === 0xff && header[1] === 0xd8) return 'jpeg';
+  if (header.toString('latin1', 1, 4) === 'PNG') return 'png';
+  if (header.toString('latin1', 0, 4) === 'GIF8') return 'gif';
+  if (header.toString('latin1', 0, 2) === 'BM') return 'bmp';
+  if (['II', 'MM'].includes(header.toString('latin1', 0, 2))) return 'tiff';
+  if (header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (header.toString('latin1', 4, 8) === 'ftyp' && /^avi[fs]$/.test(header.toString('latin1', 8, 12))) return 'avif';
+  return null;
+};
+
+// Output format used when none is asked for: the input's own format when it
+// can be written, PNG otherwise (GIF, BMP and TIFF)
+const defaultOutputFormat = (inputFormat) => (
+  canEncodeImage(inputFormat) ? inputFormat : 'png'
+);
+
+// Apply the EXIF orientation, then in order an extra clockwise rotation (a
+// multiple of 90), a crop of the upright image, a resize and the encoding.
+// Metadata is never copied to the output.
+//
+// crop is { left, top, width, height } in pixels and is clipped to the image;
+// resize is { width, height, fit } where fit is inside, cover, contain or
+// fill and a missing side keeps the aspect ratio.
+// Returns { buffer, format, width, height }.
+const transformImage = async (inputPath, options = {}) => {
+  const {
+    format = 'jpeg',
+    quality = 90,
+    angle = 0,
+    crop = null,
+    resize = null
+  } = options;
+
+  if (!canEncodeImage(format)) {
+    throw new Error(`Cannot write ${format} images without sharp`);
+  }
+
+  if (sharp) {
+    let pipeline = sharp(inputPath).rotate();
+    if (angle % 360) {
+      // sharp only applies one rotation per pipeline, so finish the EXIF one
+      // on raw pixels before turning the image further
+      const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+      pipeline = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+        .rotate(angle % 360);
+    }
+
+    if (crop) {
+      const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+      const region = clipRegion(crop, info.width, info.height);
+      pipeline = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+        .extract(region);
+    }
+
+    if (resize) {
+      pipeline = pipeline.resize(resize.width || null, resize.height || null, {
+        fit: resize.fit || 'inside',
+        background: format === 'jpeg' ? '#ffffff' : { r: 255, g: 255, b: 255, alpha: 0 }
+      });
+    }
+
+    if (format === 'jpeg') {
+      pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true });
+    } else if (format === 'png') {
+      pipeline = pipeline.png({ compressionLevel: 9 });
+    } else if (format === 'webp') {
+      pipeline = pipeline.webp({ quality });
+    } else {
+      pipeline = pipeline.avif({ quality });
+    }
+
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    return { buffer: data, format, width: info.width, height: info.height };
+  }
+
+  // Jimp applies the EXIF orientation while decoding and rotates
+  // counter-clockwise
+  const image = await Jimp.read(inputPath);
+  if (angle % 360) {
+    image.rotate(-(angle % 360));
+  }
+
+  if (crop) {
+    const region = clipRegion(crop, image.getWidth(), image.getHeight());
+    image.crop(region.left, region.top, region.width, region.height);
+  }
+
+  if (resize) {
+    const width = resize.width || Jimp.AUTO;
+    const height = resize.height || Jimp.AUTO;
+    if (!resize.width || !resize.height || resize.fit === 'fill') {
+      image.resize(width, height);
+    } else if (resize.fit === 'cover') {
+      image.cover(width, height);
+    } else if (resize.fit === 'contain') {
+      // Padding takes the background colour, so set it first
+      if (format === 'jpeg') image.background(0xffffffff);
+      image.contain(width, height);
+    } else {
+      image.scaleToFit(width, height);
+    }
+  }
+
+  // jpeg-js writes the decoded EXIF block back out, orientation included
+  delete image.bitmap.exifBuffer;
+  const buffer = format === 'png'
+    ? await image.deflateLevel(9).getBufferAsync(Jimp.MIME_PNG)
+    : await image.background(0xffffffff).quality(quality).getBufferAsync(Jimp.MIME_JPEG);
+  return { buffer, format, width: image.getWidth(), height: image.getHeight() };
+};
+
+// Clip a crop box to the image. Throws when nothing of it is left.
+const clipRegion = (crop, imageWidth, imageHeight) => {
+  const left = Math.max(0, Math.round(crop.left || 0));
+  const top = Math.max(0, Math.round(crop.top || 0));
+  const width = Math.min(imageWidth - left, Math.round(crop.width || imageWidth));
+  const height = Math.min(imageHeight - top, Math.round(crop.height || imageHeight));
+  if (width <= 0 || height <= 0) {
+    throw new Error(`Crop area is outside the ${imageWidth}x${imageHeight} image`);
+  }
+  return { left, top, width, height };
+};
+
+// Encode an image no larger than maxBytes. Lossy formats first search for the
+// highest quality that fits (down to 10); when even that is too big, or for
+// PNG, the image is scaled down and tried again. Returns the transformImage
+// result plus the quality used and whether the budget was met.
+const fitImageToSize = async (inputPath, options, maxBytes) => {
+  const lossy = options.format !== 'png';
+  // PNG has no quality setting to report
+  const quality = lossy ? (options.quality || 90) : undefined;
+
+  let result = await transformImage(inputPath, options);
+  if (result.buffer.length <= maxBytes) return { ...result, quality, withinBudget: true };
+
+  let smallest = { ...result, quality };
+  let { width, height } = result;
+
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const sized = attempt === 0
+      ? options
+      : { ...options, resize: { width, height, fit: 'fill' } };
+
+    if (lossy) {
+      // Binary search for the best quality that fits at this size
+      let low = 10;
+      let high = quality;
+      let fitting = null;
+      while (low <= high) {
+        const mid = Math.floor((low + high) / 2);
+        result = await transformImage(inputPath, { ...sized, quality: mid });
+        if (result.buffer.length < smallest.buffer.length) smallest = { ...result, quality: mid };
+        if (result.buffer.length <= maxBytes) {
+          fitting = { ...result, quality: mid };
+          low = mid + 1;
+        } else {
+          high = mid - 1;
+        }
+      }
+      if (fitting) return { ...fitting, withinBudget: true };
+    } else if (attempt > 0) {
+      result = await transformImage(inputPath, sized);
+      if (result.buffer.length < smallest.buffer.length) smallest = { ...result, quality };
+      if (result.buffer.length <= maxBytes) return { ...result, quality, withinBudget: true };
+    }
+
+    // File size grows roughly with the pixel count
+    const scale = Math.min(0.9, Math.sqrt(maxBytes / smallest.buffer.length) * 0.95);
+    width = Math.max(1, Math.round(smallest.width * scale));
+    height = Math.max(1, Math.round(smallest.height * scale));
+    if (smallest.width === 1 && smallest.height === 1) break;
+  }
+
+  return { ...smallest, withinBudget: false };
+};
+
+// EXIF orientation (1-8) of a JPEG, or 1 when it has none or its EXIF is
+// truncated or points outside the segment
+const jpegOrientation = (data) => {
+  let offset = 2;
+  while (offset + 4 <= data.length && data[offset] === 0xff) {
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+    if (marker === 0xda) break;
+    if (marker === 0xe1 && data.toString('latin1', offset + 4, offset + 8) === 'Exif') {
+      const tiff = offset + 10;
+      const end = Math.min(offset + 2 + length, data.length);
+      const fits = (at, size) => at >= tiff && at + size <= end;
+      if (!fits(tiff, 8)) return 1;
+
+      const little = data.toString('latin1', tiff, tiff + 2) === 'II';
+      const read16 = (at) => (little ? data.readUInt16LE(at) : data.readUInt16BE(at));
+      const read32 = (at) => (little ? data.readUInt32LE(at) : data.readUInt32BE(at));
+      const ifd = tiff + read32(tiff + 4);
+      if (!fits(ifd, 2)) return 1;
+
+      const entries = read16(ifd);
+      for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (!fits(entry, 12)) return 1;
+        if (read16(entry) === 0x0112) {
+          const orientation = read16(entry + 8);
+          return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+      }
+    }
+    offset += 2 + length;
+  }
+  return 1;
+};
+
+// Remove metadata without re-encoding the pixels. JPEG loses its EXIF, XMP,
+// IPTC and comment segments; PNG its text, EXIF and time chunks; WebP its
+// EXIF and XMP chunks. Colour profiles are kept. Returns null when the image
+// cannot be cleaned this way: other formats, and JPEGs whose EXIF orientation
+// would be lost, which have to be re-encoded upright instead.
+const stripMetadataLossless = (inputPath) => {
+  const format = detectImageFormat(inputPath);
+  const data = fs.readFileSync(inputPath);
+
+  if (format === 'jpeg') {
+    if (jpegOrientation(data) > 1) return null;
+    const parts = [data.subarray(0, 2)];
+    let offset = 2;
+    while (offset + 4 <= data.length && data[offset] === 0xff) {
+      const marker = data[offset + 1];
+      if (marker === 0xda) break;
+      const end = offset + 2 + data.readUInt16BE(offset + 2);
+      const isIcc = marker === 0xe2 && data.toString('latin1', offset + 4, offset + 15) === 'ICC_PROFILE';
+      // Keep JFIF (APP0), ICC profiles and Adobe colour info (APP14)
+      const isMetadata = marker === 0xfe ||
+        (marker >= 0xe1 && marker <= 0xef && marker !== 0xee && !isIcc);
+      if (!isMetadata) parts.push(data.subarray(offset, end));
+      offset = end;
+    }
+    parts.push(data.subarray(offset));
+    return Buffer.concat(parts);
+  }
+
+  if (format === 'png') {
+    const parts = [data.subarray(0, 8)];
+    let offset = 8;
+    while (offset + 12 <= data.length) {
+      const end = offset + 12 + data.readUInt32BE(offset);
+      const type = data.toString('latin1', offset + 4, offset + 8);
+      if (!['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'].includes(type)) parts.push(data.subarray(offset, end));
+      offset = end;
+    }
+    return Buffer.concat(parts);
+  }
+
+  if (format === 'webp') {
+    const parts = [];
+    let offset = 12;
+    while (offset + 8 <= data.length) {
+      const size = data.readUInt32LE(offset + 4);
+      const end = offset + 8 + size + (size % 2);
+      const type = data.toString('latin1', offset, offset + 4);
+      if (type === 'VP8X') {
+        // Clear the EXIF and XMP flags
+        const chunk = Buffer.from(data.subarray(offset, end));
+        chunk[8] &= ~0x0c;
+        parts.push(chunk);
+      } else if (type !== 'EXIF' && type !== 'XMP ') {
+        parts.push(data.subarray(offset, end));
+      }
+      offset = end;
+    }
+    const body = Buffer.concat(parts);
+    const header = Buffer.from(data.subarray(0, 12));
+    header.writeUInt32LE(body.length + 4, 4);
+    return Buffer.concat([header, body]);
+  }
+
+  return null;
+};
+
+module.exports = {
+  PAGE_SIZES,
+  IMAGE_TYPES,
+  OUTPUT_FORMATS,
+  FORMAT_EXTENSIONS,
+  getPageSize,
+  layoutImage,
+  canDecodeImage,
+  countImageFrames,
+  readImageSize,
+  prefersLossless,
+  renderImage,
+  addImagePages,
+  canEncodeImage,
+  detectImageFormat,
+  defaultOutputFormat,
+  transformImage,
+  fitImageToSize,
+  stripMetadataLossless
+};
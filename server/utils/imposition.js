@@ -0,0 +1,194 @@
+const { PDFDocument, degrees, rgb } = require('pdf-lib');
+
+// Grids for N-up printing as [columns, rows]; the planner may swap them when
+// that fits the pages better
+const NUP_LAYOUTS = {
+  2: [2, 1],
+  4: [2, 2],
+  6: [3, 2],
+  9: [3, 3],
+  16: [4, 4]
+};
+
+// horizontal fills rows left to right, vertical fills columns top to bottom;
+// the -rtl variants start on the right
+const READING_ORDERS = ['horizontal', 'vertical', 'horizontal-rtl', 'vertical-rtl'];
+
+// Size of a page as it is shown, after its /Rotate
+const visibleSize = (page) => {
+  const { width, height } = page.getSize();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  return rotation % 180 ? { width: height, height: width, rotation } : { width, height, rotation };
+};
+
+// Pick the sheet orientation and grid direction that print the pages largest.
+// sheetSize is a portrait [width, height]; orientation is auto, portrait or
+// landscape. With fixedGrid the layout is used as given and only the
+// orientation is chosen.
+const planGrid = (layout, pageSize, options, fixedGrid = false) => {
+  const { sheetSize, orientation = 'auto', margin = 0, gutter = 0 } = options;
+  const [across, down] = layout;
+  const orientations = orientation === 'auto' ? [false, true] : [orientation === 'landscape'];
+  const grids = fixedGrid ? [[across, down]] : [[across, down], [down, across]];
+  let best = null;
+
+  orientations.forEach(landscape => {
+    const [sheetWidth, sheetHeight] = landscape ? [sheetSize[1], sheetSize[0]] : sheetSize;
+    grids.forEach(([columns, rows]) => {
+      const cellWidth = (sheetWidth - margin * 2 - gutter * (columns - 1)) / columns;
+      const cellHeight = (sheetHeight - margin * 2 - gutter * (rows - 1)) / rows;
+      if (cellWidth <= 0 || cellHeight <= 0) return;
+
+      const scale = Math.min(cellWidth / pageSize.width, cellHeight / pageSize.height);
+      if (!best || scale > best.scale + 1e-6) {
+        best = { sheetWidth, sheetHeight, columns, rows, cellWidth, cellHeight, scale };
+      }
+    });
+  });
+
+  return best;
+};
+
+// Box of the n-th cell on a sheet, in PDF coordinates (origin bottom left)
+const cellBox = (plan, index, order, margin, gutter) => {
+  let column, row;
+  if (order.startsWith('vertical')) {
+    row = index % plan.rows;
+    column = Math.floor(index / plan.rows);
+  } else {
+    column = index % plan.columns;
+    row = Math.floor(index / plan.columns);
+  }
+  if (order.endsWith('-rtl')) column = plan.columns - 1 - column;
+
+  const top = plan.sheetHeight - margin - row * (plan.cellHeight + gutter);
+  return {
+    x: margin + column * (plan.cellWidth + gutter),
+    y: top - plan.cellHeight,
+    width: plan.cellWidth,
+    height: plan.cellHeight
+  };
+};
+
+// Draw an embedded page scaled to fit a box and centred in it, turned the way
+// its /Rotate shows it. `align` pushes it against the left or right edge
+// instead, which booklets use to keep the two halves against the fold.
+const drawIntoBox = (sheet, embedded, size, box, { border = false, align = 'center' } = {}) => {
+  const scale = Math.min(box.width / size.width, box.height / size.height);
+  const width = size.width * scale;
+  const height = size.height * scale;
+  const left = align === 'left' ? box.x : align === 'right' ? box.x + box.width - width : box.x + (box.width - width) / 2;
+  const bottom = box.y + (box.height - height) / 2;
+
+  // Rotating turns the page about its origin, so move the origin to the
+  // corner where the page's own bottom left ends up
+  const origins = {
+    0: [left, bottom],
+    90: [left, bottom + height],
+    180: [left + width, bottom + height],
+    270: [left + width, bottom]
+  };
+  const [x, y] = origins[size.rotation] || origins[0];
+
+  sheet.drawPage(embedded, {
+    x,
+    y,
+    xScale: scale,
+    yScale: scale,
+    rotate: degrees(-size.rotation)
+  });
+
+  if (border) {
+    sheet.drawRectangle({
+      x: left,
+      y: bottom,
+      width,
+      height,
+      borderColor: rgb(0.4, 0.4, 0.4),
+      borderWidth: 0.5
+    });
+  }
+};
+
+// Embed each distinct source page once
+const embedSourcePages = async (output, source, pageIndices) => {
+  const distinct = [...new Set(pageIndices.filter(index => index !== null))];
+  const embedded = await output.embedPages(distinct.map(index => source.getPage(index)));
+  return new Map(distinct.map((index, i) => [index, embedded[i]]));
+};
+
+// Put `perSheet` pages on each sheet of a new document. pageIndices are the
+// 0-based source pages in order. Cells are sized from the first page.
+const imposeNup = async (source, pageIndices, options) => {
+  const { perSheet = 4, order = 'horizontal', margin = 0, gutter = 0, border = false } = options;
+  const output = await PDFDocument.create();
+  const plan = planGrid(NUP_LAYOUTS[perSheet], visibleSize(source.getPage(pageIndices[0])), options);
+  if (!plan) throw new Error('Margins and gutters leave no room for the pages');
+
+  const embedded = await embedSourcePages(output, source, pageIndices);
+
+  for (let start = 0; start < pageIndices.length; start += perSheet) {
+    const sheet = output.addPage([plan.sheetWidth, plan.sheetHeight]);
+    pageIndices.slice(start, start + perSheet).forEach((pageIndex, cell) => {
+      drawIntoBox(
+        sheet,
+        embedded.get(pageIndex),
+        visibleSize(source.getPage(pageIndex)),
+        cellBox(plan, cell, order, margin, gutter),
+        { border }
+      );
+    });
+  }
+
+  return output;
+};
+
+// Impose pages as a saddle-stitched booklet: two pages side by side on each
+// side of a sheet, ordered so that the printed stack, folded in the middle,
+// reads in order. The page count is padded with blank pages to a multiple of
+// 4. Print duplex, flipping on the short edge. With rightToLeft the booklet
+// opens the other way. Returns { pdf, blankPages }.
+const imposeBooklet = async (source, pageIndices, options) => {
+  const { margin = 0, gutter = 0, border = false, rightToLeft = false } = options;
+  const output = await PDFDocument.create();
+  // The two pages must sit side by side so the sheet folds between them
+  const plan = planGrid([2, 1], visibleSize(source.getPage(pageIndices[0])), options, true);
+  if (!plan) throw new Error('Margins and gutters leave no room for the pages');
+
+  const blankPages = (4 - (pageIndices.length % 4)) % 4;
+  const pages = [...pageIndices, ...new Array(blankPages).fill(null)];
+  const embedded = await embedSourcePages(output, source, pages);
+  const count = pages.length;
+
+  // Sheet i: the front carries the last and first unplaced pages, the back
+  // the second and second-to-last, each as [left, right]
+  const sides = [];
+  for (let i = 0; i < count / 4; i++) {
+    sides.push([pages[count - 1 - 2 * i], pages[2 * i]]);
+    sides.push([pages[2 * i + 1], pages[count - 2 - 2 * i]]);
+  }
+
+  sides.forEach(pair => {
+    const sheet = output.addPage([plan.sheetWidth, plan.sheetHeight]);
+    const [left, right] = rightToLeft ? [pair[1], pair[0]] : pair;
+    [left, right].forEach((pageIndex, cell) => {
+      if (pageIndex === null) return;
+      drawIntoBox(
+        sheet,
+        embedded.get(pageIndex),
+        visibleSize(source.getPage(pageIndex)),
+        cellBox(plan, cell, 'horizontal', margin, gutter),
+        { border, align: cell === 0 ? 'right' : 'left' }
+      );
+    });
+  });
+
+  return { pdf: output, blankPages };
+};
+
+module.exports = {
+  NUP_LAYOUTS,
+  READING_ORDERS,
+  imposeNup,
+  imposeBooklet
+};
@@ -0,0 +1,279 @@
+const {
+  PDFDocument,
+  StandardFonts,
+  TextRenderingMode,
+  pushGraphicsState,
+  popGraphicsState,
+  beginText,
+  endText,
+  setFontAndSize,
+  setTextRenderingMode,
+  setCharacterSqueeze,
+  moveText,
+  showText
+} = require('pdf-lib');
+const path = require('path');
+const fs = require('fs');
+
+// Try to load Sharp, fallback to Jimp if Sharp fails
+let sharp;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  sharp = null;
+}
+
+const Jimp = require('jimp');
+
+// Folder of *.traineddata(.gz) files for offline use. When unset, language
+// data is downloaded on first use and cached in the working directory.
+const TESSDATA_PATH = process.env.TESSDATA_PATH ? path.resolve(process.env.TESSDATA_PATH) : null;
+
+// Turn "eng+fra", "eng, yor" or ["eng", "fra"] into Tesseract's "eng+fra".
+// Returns null when any code is not a valid language name.
+const parseLanguages = (value) => {
+  const list = Array.isArray(value) ? value : String(value || 'eng').split(/[+,\s]+/);
+  const codes = list.map(code => String(code).trim()).filter(Boolean);
+  if (codes.length === 0 || !codes.every(code => /^[a-z]{3}(?:_[a-z]+)*$/i.test(code))) return null;
+  return [...new Set(codes)].join('+');
+};
+
+// Languages listed in "eng+fra" that have no traineddata in TESSDATA_PATH
+const missingLanguages = (languages) => {
+  if (!TESSDATA_PATH) return [];
+  return languages.split('+').filter(code => (
+    !fs.existsSync(path.join(TESSDATA_PATH, `${code}.traineddata`)) &&
+    !fs.existsSync(path.join(TESSDATA_PATH, `${code}.traineddata.gz`))
+  ));
+};
+
+// Start a Tesseract worker with the given languages ("eng" or "eng+fra") and
+// Tesseract parameters. The caller terminates it when done.
+const createOcrWorker = async ({ languages = 'eng', parameters = {}, logger } = {}) => {
+  const { createWorker } = require('tesseract.js');
+
+  const workerOptions = {
+    logger: logger || (m => console.log('OCR Progress:', m.status, m.progress))
+  };
+
+  if (TESSDATA_PATH) {
+    // Read straight from the local folder; uncompressed files are used when
+    // every language has one, otherwise the .gz files
+    workerOptions.langPath = TESSDATA_PATH;
+    workerOptions.gzip = !languages.split('+').every(code => (
+      fs.existsSync(path.join(TESSDATA_PATH, `${code}.traineddata`))
+    ));
+    workerOptions.cacheMethod = 'none';
+  }
+
+  const worker = await createWorker(workerOptions);
+
+  await worker.loadLanguage(languages);
+  await worker.initialize(languages);
+  if (Object.keys(parameters).length) {
+    await worker.setParameters(parameters);
+  }
+
+  return worker;
+};
+
+// Write an upright, sharpened PNG no taller than 2000px for Tesseract.
+// Returns the pixel size of the written image, which is the coordinate space
+// of the word boxes Tesseract reports.
+const prepareForOcr = async (inputPath, outputPath) => {
+  if (sharp) {
+    const info = await sharp(inputPath)
+      .rotate()
+      .resize(null, 2000, { withoutEnlargement: true })
+      .sharpen()
+      .png({ quality: 100 })
+      .toFile(outputPath);
+    return { width: info.width, height: info.height };
+  }
+
+  // Jimp applies the EXIF orientation while decoding
+  const image = await Jimp.read(inputPath);
+  if (image.getHeight() > 2000) {
+    image.resize(Jimp.AUTO, 2000);
+  }
+  await image.writeAsync(outputPath);
+  return { width: image.getWidth(), height: image.getHeight() };
+};
+
+// Keep only characters the standard font can encode. Accented letters outside
+// WinAnsi fall back to their base letter so the text stays searchable.
+const encodableText = (text, characterSet) => Array.from(text.normalize('NFC')).map(char => {
+  if (characterSet.has(char.codePointAt(0))) return char;
+  const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return Array.from(base).every(c => characterSet.has(c.codePointAt(0))) ? base : '';
+}).join('');
+
+// Build a PDF with one page per scanned image and an invisible text layer
+// laid over each word, so the result can be searched and copied.
+//
+// Each page is { image (JPEG buffer), pageWidth, pageHeight (points),
+// ocrWidth, ocrHeight (pixel size the word boxes refer to), words }, where
+// words are Tesseract words with text and bbox { x0, y0, x1, y1 }.
+const buildSearchablePdf = async (pages) => {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const characterSet = new Set(font.getCharacterSet());
+
+  for (const page of pages) {
+    const pdfPage = pdf.addPage([page.pageWidth, page.pageHeight]);
+    const image = await pdf.embedJpg(page.image);
+    pdfPage.drawImage(image, { x: 0, y: 0, width: page.pageWidth, height: page.pageHeight });
+
+    const fontKey = pdfPage.node.newFontDictionary(font.name, font.ref);
+    const scaleX = page.pageWidth / page.ocrWidth;
+    const scaleY = page.pageHeight / page.ocrHeight;
+    const operators = [pushGraphicsState(), beginText(), setTextRenderingMode(TextRenderingMode.Invisible)];
+
+    page.words.forEach(word => {
+      const text = encodableText(word.text || '', characterSet).trim();
+      if (!text) return;
+
+      // Words on one line share the line's box for size and baseline, so
+      // text extraction keeps them together; the trailing space separates
+      // words on copy
+      const { x0, x1 } = word.bbox;
+      const lineBox = (word.line && word.line.bbox) || word.bbox;
+      const boxWidth = (x1 - x0) * scaleX;
+      const fontSize = (lineBox.y1 - lineBox.y0) * scaleY;
+      if (boxWidth <= 0 || fontSize <= 0) return;
+
+      // Stretch the text to the word's width so selections line up with the
+      // words in the image
+      const naturalWidth = font.widthOfTextAtSize(text, fontSize);
+      const squeeze = naturalWidth > 0 ? (boxWidth / naturalWidth) * 100 : 100;
+      const x = x0 * scaleX;
+      const y = page.pageHeight - lineBox.y1 * scaleY + fontSize * 0.2;
+
+      operators.push(
+        setFontAndSize(fontKey, fontSize),
+        setCharacterSqueeze(squeeze),
+        moveText(x, y),
+        showText(font.encodeText(`${text} `)),
+        // Text positions are relative, so move back to the origin
+        moveText(-x, -y)
+      );
+    });
+
+    operators.push(endText(), popGraphicsState());
+    pdfPage.pushOperators(...operators);
+  }
+
+  return pdf.save();
+};
+
+// Structured OCR output. Each page is { pageNumber, source, width, height,
+// ocrWidth, ocrHeight, data }, where width x height is the pixel size of the
+// page image and data is Tesseract's recognize() result for the preprocessed
+// image. Coordinates are scaled back to the page image in every format.
+const pageScale = (page) => ({
+  x: page.width / page.ocrWidth,
+  y: page.height / page.ocrHeight
+});
+
+const scaleBox = (bbox, scale) => ({
+  x0: Math.round(bbox.x0 * scale.x),
+  y0: Math.round(bbox.y0 * scale.y),
+  x1: Math.round(bbox.x1 * scale.x),
+  y1: Math.round(bbox.y1 * scale.y)
+});
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// One hOCR document with an ocr_page per page. Tesseract numbers every page
+// as page 1, so element ids and ppageno are renumbered.
+const toHocr = (pages) => {
+  const body = pages.map(page => {
+    const scale = pageScale(page);
+    return page.data.hocr
+      .replace(/bbox (\d+) (\d+) (\d+) (\d+)/g, (match, x0, y0, x1, y1) => {
+        const box = scaleBox({ x0: +x0, y0: +y0, x1: +x1, y1: +y1 }, scale);
+        return `bbox ${box.x0} ${box.y0} ${box.x1} ${box.y1}`;
+      })
+      .replace(/id='([a-z]+)_1(_|')/g, `id='$1_${page.pageNumber}$2`)
+      .replace(/image "unknown"/, `image "${escapeHtml(page.source)}"`)
+      .replace(/ppageno \d+/, `ppageno ${page.pageNumber - 1}`)
+      .trim();
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">
+ <head>
+  <title></title>
+  <meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>
+  <meta name='ocr-system' content='tesseract.js'/>
+  <meta name='ocr-capabilities' content='ocr_page ocr_carea ocr_par ocr_line ocrx_word ocrp_wconf'/>
+ </head>
+ <body>
+${body}
+ </body>
+</html>
+`;
+};
+
+// Tesseract's TSV with a header row and the real page number on each row
+const toTsv = (pages) => {
+  const header = 'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext';
+  const rows = pages.flatMap(page => {
+    const scale = pageScale(page);
+    return page.data.tsv.split('\n').filter(Boolean).map(row => {
+      const columns = row.split('\t');
+      columns[1] = String(page.pageNumber);
+      columns[6] = String(Math.round(columns[6] * scale.x));
+      columns[7] = String(Math.round(columns[7] * scale.y));
+      columns[8] = String(Math.round(columns[8] * scale.x));
+      columns[9] = String(Math.round(columns[9] * scale.y));
+      return columns.join('\t');
+    });
+  });
+  return [header, ...rows].join('\n') + '\n';
+};
+
+// Pages of blocks, lines and words, each with its text, bounding box and
+// confidence (0-100)
+const toJson = (pages) => ({
+  pages: pages.map(page => {
+    const scale = pageScale(page);
+    const item = (node) => ({
+      text: node.text.trim(),
+      bbox: scaleBox(node.bbox, scale),
+      confidence: Math.round(node.confidence * 100) / 100
+    });
+
+    return {
+      pageNumber: page.pageNumber,
+      source: page.source,
+      width: page.width,
+      height: page.height,
+      confidence: page.data.confidence,
+      text: page.data.text,
+      blocks: (page.data.blocks || []).map(block => ({
+        ...item(block),
+        lines: block.paragraphs.flatMap(paragraph => paragraph.lines).map(line => ({
+          ...item(line),
+          words: line.words.map(item)
+        }))
+      }))
+    };
+  })
+});
+
+module.exports = {
+  parseLanguages,
+  missingLanguages,
+  createOcrWorker,
+  prepareForOcr,
+  buildSearchablePdf,
+  toHocr,
+  toTsv,
+  toJson
+};
@@ -0,0 +1,206 @@
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFString,
+  PDFHexString,
+  PDFNumber
+} = require('pdf-lib');
+
+const textOf = (value) => (
+  value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : value ? String(value) : ''
+);
+
+// Look up a named destination in the catalog's Dests dictionary or the Dests
+// name tree
+const findNamedDestination = (pdf, name) => {
+  const key = name instanceof PDFName ? name.decodeText() : textOf(name);
+  const oldStyle = pdf.catalog.lookup(PDFName.of('Dests'));
+  if (oldStyle instanceof PDFDict) {
+    const found = oldStyle.lookup(PDFName.of(key));
+    if (found) return found;
+  }
+
+  const names = pdf.catalog.lookup(PDFName.of('Names'));
+  const searchTree = (node, seen) => {
+    if (!(node instanceof PDFDict) || seen.has(node)) return null;
+    seen.add(node);
+    const entries = node.lookup(PDFName.of('Names'));
+    if (entries instanceof PDFArray) {
+      for (let i = 0; i + 1 < entries.size(); i += 2) {
+        if (textOf(entries.lookup(i)) === key) return entries.lookup(i + 1);
+      }
+    }
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) {
+        const found = searchTree(kids.lookup(i), seen);
+        if (found) return found;
+      }
+    }
+    return null;
+  };
+  return names instanceof PDFDict ? searchTree(names.lookup(PDFName.of('Dests')), new Set()) : null;
+};
+
+// 0-based page index an outline item points at, or null when it has no
+// destination in this document
+const destinationPage = (pdf, item, pageRefs) => {
+  let destination = item.lookup(PDFName.of('Dest'));
+  if (!destination) {
+    const action = item.lookup(PDFName.of('A'));
+    if (action instanceof PDFDict && action.get(PDFName.of('S')) === PDFName.of('GoTo')) {
+      destination = action.lookup(PDFName.of('D'));
+    }
+  }
+  if (destination && !(destination instanceof PDFArray) && !(destination instanceof PDFDict)) {
+    destination = findNamedDestination(pdf, destination);
+  }
+  if (destination instanceof PDFDict) {
+    destination = destination.lookup(PDFName.of('D'));
+  }
+  if (!(destination instanceof PDFArray) || destination.size() === 0) return null;
+
+  const target = destination.get(0);
+  if (target instanceof PDFRef) {
+    const index = pageRefs.findIndex(ref => ref === target || ref.toString() === target.toString());
+    return index === -1 ? null : index;
+  }
+  // Some writers use page numbers instead of page references
+  return target instanceof PDFNumber && target.asNumber() < pageRefs.length ? target.asNumber() : null;
+};
+
+// Read a pdf-lib document's outline as a tree of { title, pageIndex,
+// children }. pageIndex is 0-based, or null for items that point nowhere in
+// this document (web links, other files).
+const readOutline = (pdf) => {
+  const pageRefs = pdf.getPages().map(page => page.ref);
+  const outlines = pdf.catalog.lookup(PDFName.of('Outlines'));
+  if (!(outlines instanceof PDFDict)) return [];
+
+  const seen = new Set();
+  const readLevel = (parent) => {
+    const items = [];
+    let item = parent.lookup(PDFName.of('First'));
+    // Guard against broken files whose Next links loop
+    while (item instanceof PDFDict && !seen.has(item)) {
+      seen.add(item);
+      items.push({
+        title: textOf(item.lookup(PDFName.of('Title'))),
+        pageIndex: destinationPage(pdf, item, pageRefs),
+        children: readLevel(item)
+      });
+      item = item.lookup(PDFName.of('Next'));
+    }
+    return items;
+  };
+
+  return readLevel(outlines);
+};
+
+// Replace a pdf-lib document's outline (bookmarks). Each item is
+// { title, pageIndex, children } with a 0-based page index; children nest
+// under their parent and are shown expanded. Items that point at no page of
+// the document are left out and their children take their place. An empty
+// list removes the outline. Viewers are asked to open with the bookmarks
+// panel showing.
+const setOutline = (pdf, outline) => {
+  const context = pdf.context;
+  const pageRefs = pdf.getPages().map(page => page.ref);
+
+  const resolve = (list) => (list || []).flatMap(item => {
+    const children = resolve(item.children);
+    return pageRefs[item.pageIndex] ? [{ ...item, children }] : children;
+  });
+  const items = resolve(outline);
+
+  if (items.length === 0) {
+    pdf.catalog.delete(PDFName.of('Outlines'));
+    return;
+  }
+
+  // Write the items of one level, linked to each other and to their parent.
+  // Returns the first and last item and how many open items the level has.
+  const writeLevel = (list, parentRef) => {
+    const refs = list.map(() => context.nextRef());
+    let count = 0;
+
+    list.forEach((item, index) => {
+      const entry = context.obj({
+        Title: PDFHexString.fromText(String(item.title)),
+        Parent: parentRef,
+        Dest: [pageRefs[item.pageIndex], 'Fit']
+      });
+      if (index > 0) entry.set(PDFName.of('Prev'), refs[index - 1]);
+      if (index < refs.length - 1) entry.set(PDFName.of('Next'), refs[index + 1]);
+
+      if (item.children && item.children.length) {
+        const children = writeLevel(item.children, refs[index]);
+        entry.set(PDFName.of('First'), children.first);
+        entry.set(PDFName.of('Last'), children.last);
+        entry.set(PDFName.of('Count'), PDFNumber.of(children.count));
+        count += children.count;
+      }
+
+      context.assign(refs[index], entry);
+      count += 1;
+    });
+
+    return { first: refs[0], last: refs[refs.length - 1], count };
+  };
+
+  const outlineRef = context.nextRef();
+  const top = writeLevel(items, outlineRef);
+  context.assign(outlineRef, context.obj({
+    Type: 'Outlines',
+    First: top.first,
+    Last: top.last,
+    Count: top.count
+  }));
+
+  pdf.catalog.set(PDFName.of('Outlines'), outlineRef);
+  pdf.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+};
+
+// Carry an outline over to a document made of the given source pages
+// (0-based, in their new order). Items point at the first copy of their
+// page and each level is sorted into the new page order; items whose page
+// was left out are dropped and their surviving children move up into their
+// place.
+const remapOutline = (items, pageIndices) => {
+  const newIndex = new Map();
+  pageIndices.forEach((pageIndex, position) => {
+    if (!newIndex.has(pageIndex)) newIndex.set(pageIndex, position);
+  });
+
+  const remapLevel = (list) => list
+    .flatMap(item => {
+      const children = remapLevel(item.children || []);
+      if (!newIndex.has(item.pageIndex)) return children;
+      return [{ title: item.title, pageIndex: newIndex.get(item.pageIndex), children }];
+    })
+    .sort((a, b) => a.pageIndex - b.pageIndex);
+
+  return remapLevel(items);
+};
+
+// Build an outline tree from a flat list of { title, pageIndex, level } in
+// reading order, level 1 being the top. A deeper item nests under the
+// closest item above it with a lower level.
+const nestOutline = (entries) => {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+
+  entries.forEach(entry => {
+    while (stack[stack.length - 1].level >= entry.level) stack.pop();
+    const item = { title: entry.title, pageIndex: entry.pageIndex, level: entry.level, children: [] };
+    stack[stack.length - 1].children.push(item);
+    stack.push(item);
+  });
+
+  const strip = (list) => list.map(({ title, pageIndex, children }) => ({ title, pageIndex, children: strip(children) }));
+  return strip(root.children);
+};
+
+module.exports = { readOutline, setOutline, remapOutline, nestOutline };
@@ -0,0 +1,40 @@
+// Parse a page selection such as "1,3,5-7" or "all" into 0-based page indices.
+// Open-ended ranges ("5-") run to the last page. Pages outside the document
+// are ignored and the order given by the caller is kept.
+const parsePageRanges = (spec, totalPages) => {
+  if (spec === undefined || spec === null || String(spec).trim() === '' || String(spec).trim() === 'all') {
+    return Array.from({ length: totalPages }, (_, i) => i);
+  }
+
+  const indices = [];
+  String(spec).split(',').forEach(range => {
+    range = range.trim();
+    if (!range) return;
+
+    if (range.includes('-')) {
+      const [startText, endText] = range.split('-').map(num => num.trim());
+      let start = startText ? parseInt(startText) : 1;
+      let end = endText ? parseInt(endText) : totalPages;
+      if (isNaN(start) || isNaN(end)) return;
+      if (Math.max(start, end) < 1 || Math.min(start, end) > totalPages) return;
+
+      // Clamp to the document so huge numbers cannot make the loop run long
+      start = Math.min(Math.max(start, 1), totalPages);
+      end = Math.min(Math.max(end, 1), totalPages);
+
+      const step = start <= end ? 1 : -1;
+      for (let i = start; step > 0 ? i <= end : i >= end; i += step) {
+        indices.push(i - 1);
+      }
+    } else {
+      const pageNum = parseInt(range);
+      if (pageNum >= 1 && pageNum <= totalPages) {
+        indices.push(pageNum - 1);
+      }
+    }
+  });
+
+  return indices;
+};
+
+module.exports = { parsePageRanges };
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const Jimp = require('jimp');
+const { PDFArray, PDFRawStream, decodePDFRawStream } = require('pdf-lib');
+const { rasterizePages } = require('./pdfRaster');
+
+// Pages are rendered a few at a time so a long scan never leaves hundreds of
+// images on disk
+const RENDER_BATCH = 10;
+
+// Whether a page draws nothing at all: no content stream, or only whitespace
+// and empty save/restore pairs
+const hasNoContent = (pdf, page) => {
+  const contents = page.node.Contents();
+  if (!contents) return true;
+
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(ref => pdf.context.lookup(ref))
+    : [contents];
+
+  return streams.every(stream => {
+    if (!(stream instanceof PDFRawStream)) return false;
+    try {
+      const text = Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1');
+      return text.replace(/\b[qQ]\b/g, '').trim() === '';
+    } catch (error) {
+      // Streams with filters pdf-lib cannot decode are counted as content
+      return false;
+    }
+  });
+};
+
+// Render pages in batches and hand each image to `inspect(image, pageIndex)`,
+// a Jimp image. Rendered files are removed as soon as they are read.
+const inspectRenderedPages = async (inputPath, pageIndices, dpi, inspect) => {
+  for (let start = 0; start < pageIndices.length; start += RENDER_BATCH) {
+    const images = await rasterizePages(inputPath, pageIndices.slice(start, start + RENDER_BATCH), {
+      dpi,
+      format: 'png',
+      baseName: `scan-${Date.now()}`
+    });
+
+    try {
+      for (const rendered of images) {
+        const image = await Jimp.read(rendered.path);
+        await inspect(image, rendered.pageNumber - 1);
+      }
+    } finally {
+      images.forEach(rendered => {
+        if (fs.existsSync(rendered.path)) fs.unlinkSync(rendered.path);
+      });
+    }
+  }
+};
+
+// Share of dark pixels in an image, leaving out a 5% border where scanners
+// leave edge shadows and punch holes
+const inkCoverage = (image) => {
+  const { width, height, data } = image.bitmap;
+  const marginX = Math.floor(width * 0.05);
+  const marginY = Math.floor(height * 0.05);
+  let dark = 0;
+  let total = 0;
+
+  for (let y = marginY; y < height - marginY; y++) {
+    for (let x = marginX; x < width - marginX; x++) {
+      const offset = (y * width + x) * 4;
+      const luminance = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+      if (luminance < 160) dark++;
+      total++;
+    }
+  }
+  return total ? dark / total : 0;
+};
+
+// Find blank pages (0-based indices). Pages that draw nothing are blank
+// without rendering; the rest are rendered at low resolution and count as
+// blank when less than `threshold` of their area is dark, so scanned blank
+// sheets with a little dust still match.
+const findBlankPages = async (inputPath, pdf, { threshold = 0.003 } = {}) => {
+  const blank = new Set();
+  const toRender = [];
+
+  pdf.getPages().forEach((page, index) => {
+    if (hasNoContent(pdf, page)) blank.add(index);
+    else toRender.push(index);
+  });
+
+  await inspectRenderedPages(inputPath, toRender, 50, (image, pageIndex) => {
+    if (inkCoverage(image) < threshold) blank.add(pageIndex);
+  });
+
+  return blank;
+};
+
+// Read the first barcode on an image: QR, Data Matrix, PDF417, Code 128,
+// Code 39, Code 93, EAN or ITF. Returns { text, format } or null.
+const readBarcode = (image) => {
+  const {
+    MultiFormatReader,
+    BarcodeFormat,
+    DecodeHintType,
+    RGBLuminanceSource,
+    BinaryBitmap,
+    HybridBinarizer
+  } = require('@zxing/library');
+
+  const { width, height, data } = image.bitmap;
+  const luminances = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < width * height; i++) {
+    luminances[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+  }
+
+  const hints = new Map();
+  hints.set(DecodeHintType.TRY_HARDER, true);
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, [
+    BarcodeFormat.QR_CODE,
+    BarcodeFormat.DATA_MATRIX,
+    BarcodeFormat.PDF_417,
+    BarcodeFormat.CODE_128,
+    BarcodeFormat.CODE_39,
+    BarcodeFormat.CODE_93,
+    BarcodeFormat.EAN_13,
+    BarcodeFormat.EAN_8,
+    BarcodeFormat.ITF
+  ]);
+
+  const reader = new MultiFormatReader();
+  try {
+    const result = reader.decode(
+      new BinaryBitmap(new HybridBinarizer(new RGBLuminanceSource(luminances, width, height))),
+      hints
+    );
+    return { text: result.getText(), format: BarcodeFormat[result.getBarcodeFormat()] };
+  } catch (error) {
+    // zxing throws when there is no barcode
+    return null;
+  }
+};
+
+// Find pages carrying a barcode. Returns a Map of 0-based page index to
+// { text, format }; with a pattern (RegExp) only matching barcodes count.
+const findBarcodePages = async (inputPath, pdf, { pattern = null } = {}) => {
+  const found = new Map();
+
+  const withContent = pdf.getPageIndices().filter(index => !hasNoContent(pdf, pdf.getPage(index)));
+
+  await inspectRenderedPages(inputPath, withContent, 150, (image, pageIndex) => {
+    const barcode = readBarcode(image);
+    if (barcode && (!pattern || pattern.test(barcode.text))) found.set(pageIndex, barcode);
+  });
+
+  return found;
+};
+
+module.exports = {
+  hasNoContent,
+  inkCoverage,
+  readBarcode,
+  findBlankPages,
+  findBarcodePages
+};
@@ -0,0 +1,72 @@
+const path = require('path');
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+const { fromBuffer } = require('pdf2pic');
+
+// Render PDF pages to images with pdf2pic (needs GraphicsMagick and Ghostscript
+// on the host). pageIndices are 0-based; the output size follows each page's
+// own dimensions at the requested DPI, so mixed page sizes keep their shape.
+const rasterizePages = async (inputPath, pageIndices, options = {}) => {
+  const {
+    dpi = 150,
+    format = 'jpg',
+    quality = 90,
+    outputDir = path.dirname(inputPath),
+    baseName = `page-${Date.now()}`
+  } = options;
+
+  const pdfBytes = fs.readFileSync(inputPath);
+  const pdf = await PDFDocument.load(pdfBytes);
+  const pages = pdf.getPages();
+  const images = [];
+
+  try {
+    for (const pageIndex of pageIndices) {
+      const page = pages[pageIndex];
+      let { width, height } = page.getSize();
+      const rotation = page.getRotation().angle % 180;
+      if (rotation !== 0) {
+        [width, height] = [height, width];
+      }
+
+      const pixelWidth = Math.max(1, Math.round(width * dpi / 72));
+      const pixelHeight = Math.max(1, Math.round(height * dpi / 72));
+
+      // Render from memory: a file stream left open when gm fails would
+      // error unhandled once the caller removes the upload
+      const convert = fromBuffer(pdfBytes, {
+        density: dpi,
+        format,
+        quality: format === 'png' ? 0 : quality,
+        width: pixelWidth,
+        height: pixelHeight,
+        savePath: outputDir,
+        saveFilename: `${baseName}-${pageIndex + 1}`
+      });
+
+      const result = await convert(pageIndex + 1, { responseType: 'image' });
+
+      // pdf2pic appends its own page suffix; rename to a predictable file name
+      const outputPath = path.join(outputDir, `${baseName}-${pageIndex + 1}.${format}`);
+      if (result.path !== outputPath) {
+        fs.renameSync(result.path, outputPath);
+      }
+
+      images.push({
+        pageNumber: pageIndex + 1,
+        path: outputPath,
+        width: pixelWidth,
+        height: pixelHeight
+      });
+    }
+  } catch (error) {
+    images.forEach(image => {
+      if (fs.existsSync(image.path)) fs.unlinkSync(image.path);
+    });
+    throw error;
+  }
+
+  return images;
+};
+
+module.exports = { rasterizePages };
@@ -0,0 +1,194 @@
+const { PAGE_SIZES, getPageSize } = require('./images');
+
+// Draw a table with PDFKit, starting at doc.y and breaking onto new pages as
+// needed. Each row is an array of cells; a cell is either a string or an
+// object { text, bold, align, fill }.
+//
+// Options:
+//   x, width        - table position and total width (defaults to the page margins)
+//   columnWidths    - explicit column widths in points; scaled to fit `width`
+//   columnAligns    - default alignment per column ('left', 'center', 'right')
+//   headerRows      - how many leading rows are headers (drawn bold, shaded)
+//   repeatHeader    - redraw the header rows at the top of each new page
+//   clip            - drop the rows that do not fit instead of adding pages
+//   fontSize, padding, gridlines, headerFill
+const drawTable = (doc, rows, options = {}) => {
+  if (!rows || rows.length === 0) return;
+
+  const {
+    x = doc.page.margins.left,
+    width = doc.page.width - doc.page.margins.left - doc.page.margins.right,
+    columnAligns = [],
+    headerRows = 0,
+    repeatHeader = true,
+    clip = false,
+    fontSize = 9,
+    padding = 4,
+    gridlines = true,
+    headerFill = '#eeeeee',
+    font = 'Helvetica',
+    boldFont = 'Helvetica-Bold'
+  } = options;
+
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const columnWidths = scaleWidths(
+    options.columnWidths || measureColumns(doc, rows, columnCount, fontSize, font),
+    columnCount,
+    width
+  );
+
+  const cellText = (cell) => {
+    if (cell === null || cell === undefined) return '';
+    return typeof cell === 'object' ? String(cell.text === undefined ? '' : cell.text) : String(cell);
+  };
+
+  const measureRow = (row, isHeader) => {
+    let height = 0;
+    for (let col = 0; col < columnCount; col++) {
+      const cell = row[col];
+      const bold = isHeader || (cell && typeof cell === 'object' && cell.bold);
+      doc.font(bold ? boldFont : font).fontSize(fontSize);
+      const textHeight = doc.heightOfString(cellText(cell) || ' ', {
+        width: Math.max(1, columnWidths[col] - padding * 2)
+      });
+      height = Math.max(height, textHeight);
+    }
+    return height + padding * 2;
+  };
+
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  // New pages keep the size, orientation and margins of the page being filled
+  const pageOptions = () => ({
+    size: [doc.page.width, doc.page.height],
+    margins: { ...doc.page.margins }
+  });
+  const maxRowHeight = () => bottom() - doc.page.margins.top;
+
+  const drawRow = (row, isHeader, y) => {
+    const rowHeight = Math.min(measureRow(row, isHeader), maxRowHeight());
+    let cellX = x;
+
+    for (let col = 0; col < columnCount; col++) {
+      const cell = row[col];
+      const cellWidth = columnWidths[col];
+      const isObject = cell && typeof cell === 'object';
+      const fill = (isObject && cell.fill) || (isHeader ? headerFill : null);
+
+      if (fill) {
+        doc.save().rect(cellX, y, cellWidth, rowHeight).fill(fill).restore();
+      }
+      if (gridlines) {
+        doc.save().lineWidth(0.5).strokeColor('#999999').rect(cellX, y, cellWidth, rowHeight).stroke().restore();
+      }
+
+      const bold = isHeader || (isObject && cell.bold);
+      doc.font(bold ? boldFont : font).fontSize(fontSize).fillColor((isObject && cell.color) || '#000000');
+      doc.text(cellText(cell), cellX + padding, y + padding, {
+        width: Math.max(1, cellWidth - padding * 2),
+        height: rowHeight - padding * 2,
+        align: (isObject && cell.align) || columnAligns[col] || 'left',
+        ellipsis: true
+      });
+
+      cellX += cellWidth;
+    }
+
+    return rowHeight;
+  };
+
+  const headers = rows.slice(0, headerRows);
+  let y = doc.y;
+
+  for (const [index, row] of rows.entries()) {
+    const isHeader = index < headerRows;
+    const rowHeight = Math.min(measureRow(row, isHeader), maxRowHeight());
+
+    if (y + rowHeight > bottom() && y > doc.page.margins.top) {
+      if (clip) break;
+      doc.addPage(pageOptions());
+      y = doc.page.margins.top;
+      if (repeatHeader && !isHeader) {
+        headers.forEach(header => {
+          y += drawRow(header, true, y);
+        });
+      }
+    }
+
+    y += drawRow(row, isHeader, y);
+  }
+
+  doc.fillColor('#000000');
+  doc.x = x;
+  doc.y = y;
+};
+
+// Estimate column widths from the longest text in each column
+const measureColumns = (doc, rows, columnCount, fontSize, font) => {
+  doc.font(font).fontSize(fontSize);
+  const widths = new Array(columnCount).fill(0);
+  rows.forEach(row => {
+    for (let col = 0; col < columnCount; col++) {
+      const cell = row[col];
+      const text = cell && typeof cell === 'object' ? String(cell.text || '') : String(cell === undefined || cell === null ? '' : cell);
+      // Long text wraps, so cap the natural width of a single cell
+      widths[col] = Math.max(widths[col], Math.min(doc.widthOfString(text), 200));
+    }
+  });
+  return widths.map(w => Math.max(w + 10, 30));
+};
+
+// Scale column widths so they add up to the table width
+const scaleWidths = (widths, columnCount, totalWidth) => {
+  const filled = Array.from({ length: columnCount }, (_, i) => widths[i] || 50);
+  const sum = filled.reduce((a, b) => a + b, 0);
+  return filled.map(w => w * totalWidth / sum);
+};
+
+// Decide how a table with the given natural column widths goes on the page.
+// orientation 'auto' switches to landscape when portrait is too narrow. With
+// fitToWidth the table is scaled down to fit; otherwise columns that do not
+// fit are split into groups, each printed as its own block of pages.
+const fitTableToPage = (columnWidths, options = {}) => {
+  const {
+    pageSize = 'A4',
+    margin = 40,
+    orientation = 'auto',
+    fitToWidth = true
+  } = options;
+
+  const [pageWidth, pageHeight] = getPageSize(pageSize) || PAGE_SIZES.A4;
+  const naturalWidth = columnWidths.reduce((a, b) => a + b, 0);
+
+  const layout = orientation === 'auto'
+    ? (naturalWidth > pageWidth - margin * 2 ? 'landscape' : 'portrait')
+    : orientation;
+  const availableWidth = (layout === 'landscape' ? pageHeight : pageWidth) - margin * 2;
+
+  const scale = fitToWidth && naturalWidth > availableWidth ? availableWidth / naturalWidth : 1;
+
+  const columnGroups = [];
+  let group = [];
+  let groupWidth = 0;
+  columnWidths.forEach((columnWidth, index) => {
+    const scaled = columnWidth * scale;
+    if (group.length && groupWidth + scaled > availableWidth + 0.01) {
+      columnGroups.push(group);
+      group = [];
+      groupWidth = 0;
+    }
+    group.push(index);
+    groupWidth += scaled;
+  });
+  if (group.length) columnGroups.push(group);
+
+  return {
+    layout,
+    scale,
+    size: layout === 'landscape' ? [pageHeight, pageWidth] : [pageWidth, pageHeight],
+    margin,
+    availableWidth,
+    columnGroups
+  };
+};
+
+module.exports = { drawTable, fitTableToPage };
@@ -0,0 +1,423 @@
+const zlib = require('zlib');
+const { PDFDocument, PDFName, PDFNumber, PDFRawStream, PDFArray } = require('pdf-lib');
+
+// pdf-parse ships its own copy of pdf.js; use it directly to get positioned text
+const pdfjs = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+pdfjs.PDFJS.disableWorker = true;
+
+// Read positioned text items from the given pages (0-based indices, default
+// all). Coordinates are converted so y grows downwards from the top of the
+// page, like the reading order.
+const readPdfText = async (buffer, pageIndices) => {
+  const doc = await pdfjs.getDocument(new Uint8Array(buffer));
+  const indices = pageIndices || Array.from({ length: doc.numPages }, (_, i) => i);
+  const pages = [];
+
+  try {
+    for (const pageIndex of indices) {
+      const page = await doc.getPage(pageIndex + 1);
+      const viewport = page.getViewport(1);
+      const content = await page.getTextContent();
+
+      const items = content.items
+        .filter(item => item.str && item.str.trim())
+        .map(item => {
+          // Apply the viewport transform so rotated pages read upright
+          const [a, b, c, d, e, f] = pdfjs.PDFJS.Util.transform(viewport.transform, item.transform);
+          const fontSize = Math.sqrt(c * c + d * d) || item.height || 10;
+          return {
+            text: item.str,
+            x: e,
+            y: f,
+            width: item.width * (viewport.scale || 1),
+            fontSize,
+            fontName: item.fontName,
+            bold: /bold|black|heavy|semibold/i.test(item.fontName || ''),
+            vertical: Math.abs(b) > Math.abs(a)
+          };
+        })
+        .filter(item => !item.vertical);
+
+      pages.push({
+        pageNumber: pageIndex + 1,
+        width: viewport.width,
+        height: viewport.height,
+        items
+      });
+    }
+  } finally {
+    doc.destroy();
+  }
+
+  return pages;
+};
+
+// Group items into lines (same baseline), then split each line into segments
+// wherever the horizontal gap is wider than a few spaces.
+const groupLines = (items) => {
+  const sorted = [...items].sort((a, b) => a.y - b.y || a.x - b.x);
+  const lines = [];
+
+  sorted.forEach(item => {
+    const line = lines.find(candidate => (
+      Math.abs(candidate.y - item.y) <= Math.max(2, Math.min(candidate.fontSize, item.fontSize) * 0.4)
+    ));
+    if (line) {
+      line.items.push(item);
+      line.fontSize = Math.max(line.fontSize, item.fontSize);
+    } else {
+      lines.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+    }
+  });
+
+  return lines
+    .sort((a, b) => a.y - b.y)
+    .map(line => {
+      const lineItems = line.items.sort((a, b) => a.x - b.x);
+      const segments = [];
+      let segment = null;
+
+      lineItems.forEach(item => {
+        const gap = segment ? item.x - segment.right : 0;
+        const columnGap = Math.max(line.fontSize * 1.2, 8);
+        if (!segment || gap > columnGap) {
+          segment = { x: item.x, right: item.x + item.width, text: item.text, items: [item] };
+          segments.push(segment);
+        } else {
+          // Insert a space when the items do not touch and neither side has one
+          const needsSpace = gap > line.fontSize * 0.15 && !/\s$/.test(segment.text) && !/^\s/.test(item.text);
+          segment.text += (needsSpace ? ' ' : '') + item.text;
+          segment.right = Math.max(segment.right, item.x + item.width);
+          segment.items.push(item);
+        }
+      });
+
+      const boldChars = lineItems.filter(item => item.bold).reduce((n, item) => n + item.text.length, 0);
+      const totalChars = lineItems.reduce((n, item) => n + item.text.length, 0);
+
+      return {
+        y: line.y,
+        x: lineItems[0].x,
+        right: Math.max(...lineItems.map(item => item.x + item.width)),
+        fontSize: line.fontSize,
+        bold: boldChars > totalChars / 2,
+        text: segments.map(s => s.text.trim()).join('  '),
+        segments: segments.map(s => ({ ...s, text: s.text.trim() }))
+      };
+    });
+};
+
+// The font size covering the most characters, i.e. the body text size
+const bodyFontSize = (lines) => {
+  const counts = new Map();
+  lines.forEach(line => {
+    const size = Math.round(line.fontSize * 2) / 2;
+    counts.set(size, (counts.get(size) || 0) + line.text.length);
+  });
+  let best = 12;
+  let bestCount = -1;
+  counts.forEach((count, size) => {
+    if (count > bestCount) {
+      best = size;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+// Bullets ("•", "-", "*", ...) and numbers ("1.", "2)", "a.") that start a list item
+const LIST_MARKER = /^(?:[•◦▪▫‣⁃●○■□·*–-]|\(?(?:\d{1,3}|[a-z])[.)])\s+/;
+
+// Join wrapped lines back into paragraphs. A new paragraph starts on a wider
+// vertical gap, a font size change, or an indented first line.
+const groupParagraphs = (lines) => {
+  const paragraphs = [];
+  let current = null;
+
+  lines.forEach(line => {
+    const previous = current && current.lines[current.lines.length - 1];
+    const gap = previous ? line.y - previous.y : 0;
+    const sameSize = previous && Math.abs(previous.fontSize - line.fontSize) < 0.5;
+    // A bullet or number at the start of a line always begins a new item
+    const continues = previous && sameSize && !LIST_MARKER.test(line.text) &&
+      gap <= previous.fontSize * 1.6 &&
+      line.x <= previous.x + previous.fontSize &&
+      line.bold === previous.bold;
+
+    if (continues) {
+      current.lines.push(line);
+    } else {
+      current = { lines: [line] };
+      paragraphs.push(current);
+    }
+  });
+
+  return paragraphs.map(paragraph => {
+    const text = paragraph.lines.reduce((joined, line, index) => {
+      if (index === 0) return line.text;
+      // Re-join words hyphenated across a line break
+      if (/[a-z]-$/i.test(joined) && /^[a-z]/.test(line.text)) return joined.slice(0, -1) + line.text;
+      return `${joined} ${line.text}`;
+    }, '');
+    return {
+      text,
+      x: paragraph.lines[0].x,
+      y: paragraph.lines[0].y,
+      bottom: paragraph.lines[paragraph.lines.length - 1].y,
+      fontSize: paragraph.lines[0].fontSize,
+      bold: paragraph.lines[0].bold,
+      lines: paragraph.lines
+    };
+  });
+};
+
+// Heading level (1-3) for each font size larger than the body text; the
+// largest size on the document becomes level 1.
+const headingLevels = (lines, bodySize) => {
+  const sizes = [...new Set(lines.map(line => Math.round(line.fontSize * 2) / 2))]
+    .filter(size => size >= bodySize * 1.15)
+    .sort((a, b) => b - a);
+  const levels = new Map();
+  sizes.forEach((size, index) => levels.set(size, Math.min(index + 1, 3)));
+  return (fontSize) => levels.get(Math.round(fontSize * 2) / 2) || null;
+};
+
+// Find runs of lines that look like table rows: two or more text segments
+// that share column positions with their neighbours. Returns
+// [{ startLine, endLine, columns: [{ left, right }], rows: [[cell, ...]] }].
+const detectTables = (lines, options = {}) => {
+  const { minRows = 2, minColumns = 2 } = options;
+  const tables = [];
+  let block = [];
+
+  const flush = () => {
+    if (block.length >= minRows) {
+      const table = buildTable(block.map(index => lines[index]), minColumns);
+      if (table) tables.push({ startLine: block[0], endLine: block[block.length - 1], ...table });
+    }
+    block = [];
+  };
+
+  lines.forEach((line, index) => {
+    const previous = block.length ? lines[block[block.length - 1]] : null;
+    const closeEnough = !previous || line.y - previous.y <= Math.max(previous.fontSize, line.fontSize) * 2.6;
+    if (line.segments.length >= minColumns && closeEnough) {
+      block.push(index);
+    } else {
+      flush();
+      if (line.segments.length >= minColumns) block.push(index);
+    }
+  });
+  flush();
+
+  return tables;
+};
+
+// Work out column boundaries from the horizontal extents of all segments:
+// overlapping extents belong to the same column, gaps between them separate
+// columns. Then place each segment into the column its centre falls in.
+const buildTable = (rowLines, minColumns) => {
+  const extents = rowLines
+    .flatMap(line => line.segments.map(segment => ({ left: segment.x, right: segment.right })))
+    .sort((a, b) => a.left - b.left);
+
+  const columns = [];
+  extents.forEach(extent => {
+    const last = columns[columns.length - 1];
+    if (last && extent.left <= last.right + 2) {
+      last.right = Math.max(last.right, extent.right);
+    } else {
+      columns.push({ ...extent });
+    }
+  });
+
+  if (columns.length < minColumns) return null;
+
+  const rows = rowLines.map(line => {
+    const cells = new Array(columns.length).fill('');
+    line.segments.forEach(segment => {
+      const centre = (segment.x + segment.right) / 2;
+      let column = columns.findIndex(col => centre >= col.left - 1 && centre <= col.right + 1);
+      if (column === -1) column = 0;
+      cells[column] = cells[column] ? `${cells[column]} ${segment.text}` : segment.text;
+    });
+    return cells;
+  });
+
+  // A "table" where most rows fill a single column is just ragged text
+  const filledRows = rows.filter(row => row.filter(Boolean).length >= minColumns).length;
+  if (filledRows < Math.ceil(rows.length / 2)) return null;
+
+  return { columns, rows };
+};
+
+// Plain text for a page: paragraphs separated by blank lines, with tables
+// kept one row per line and cells separated by tabs
+const linesToText = (lines) => {
+  const tables = detectTables(lines);
+  const blocks = [];
+  let pending = [];
+
+  const flushText = () => {
+    groupParagraphs(pending).forEach(paragraph => blocks.push(paragraph.text));
+    pending = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const table = tables.find(t => t.startLine === i);
+    if (table) {
+      flushText();
+      blocks.push(table.rows.map(row => row.join('\t')).join('\n'));
+      i = table.endLine;
+    } else {
+      pending.push(lines[i]);
+    }
+  }
+  flushText();
+
+  return blocks.join('\n\n');
+};
+
+const escapeCell = (text) => text.replace(/\|/g, '\\|');
+
+// Markdown for a page. Headings come from `headingFor` (see headingLevels),
+// list items from leading bullets or numbers, nested by indentation, and
+// tables become pipe tables.
+const linesToMarkdown = (lines, headingFor) => {
+  const tables = detectTables(lines);
+  const blocks = [];
+  let pending = [];
+
+  const flushText = () => {
+    const paragraphs = groupParagraphs(pending);
+    const listItems = paragraphs.filter(paragraph => LIST_MARKER.test(paragraph.text));
+    const listLeft = listItems.length ? Math.min(...listItems.map(item => item.x)) : 0;
+    let previousBullet = null;
+
+    paragraphs.forEach(paragraph => {
+      const level = headingFor(paragraph.fontSize);
+      const marker = LIST_MARKER.exec(paragraph.text);
+
+      if (level) {
+        blocks.push({ text: `${'#'.repeat(level)} ${paragraph.text}` });
+        previousBullet = null;
+      } else if (marker) {
+        const depth = Math.min(3, Math.max(0, Math.round((paragraph.x - listLeft) / 18)));
+        const number = /\d+/.exec(marker[0]);
+        const body = paragraph.text.slice(marker[0].length);
+        // Markdown has no lettered lists, so those become bullets
+        const bullet = number ? `${number[0]}.` : '-';
+        // Consecutive items of the same kind form one list, so no blank line
+        // between them; a switch between bullets and numbers starts a new list
+        const kind = number ? 'number' : 'bullet';
+        blocks.push({ text: `${'  '.repeat(depth)}${bullet} ${body}`, joinPrevious: previousBullet === kind || depth > 0 });
+        previousBullet = kind;
+      } else {
+        blocks.push({ text: paragraph.bold && paragraph.text.length < 80 ? `**${paragraph.text}**` : paragraph.text });
+        previousBullet = null;
+      }
+    });
+    pending = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const table = tables.find(t => t.startLine === i);
+    if (table) {
+      flushText();
+      const [header, ...body] = table.rows;
+      blocks.push({
+        text: [
+          `| ${header.map(escapeCell).join(' | ')} |`,
+          `|${header.map(() => ' --- |').join('')}`,
+          ...body.map(row => `| ${row.map(escapeCell).join(' | ')} |`)
+        ].join('\n')
+      });
+      i = table.endLine;
+    } else {
+      pending.push(lines[i]);
+    }
+  }
+  flushText();
+
+  return blocks.reduce((markdown, block, index) => {
+    if (index === 0) return block.text;
+    return `${markdown}${block.joinPrevious ? '\n' : '\n\n'}${block.text}`;
+  }, '');
+};
+
+// Pull embedded raster images out of the given pages (0-based). JPEGs are
+// returned as-is; 8-bit RGB and greyscale Flate images are re-encoded as PNG.
+// Positions are not known without interpreting the content stream, so images
+// are reported per page in resource order.
+const extractPageImages = async (buffer, pageIndices) => {
+  const Jimp = require('jimp');
+  const pdf = await PDFDocument.load(buffer, { ignoreEncryption: true });
+  const pages = pdf.getPages();
+  const result = new Map();
+
+  for (const pageIndex of pageIndices) {
+    const images = [];
+    const resources = pages[pageIndex].node.Resources();
+    const xObjects = resources && resources.lookup(PDFName.of('XObject'));
+    if (!xObjects) {
+      result.set(pageIndex, images);
+      continue;
+    }
+
+    for (const [, ref] of xObjects.entries()) {
+      const stream = pdf.context.lookup(ref);
+      if (!(stream instanceof PDFRawStream)) continue;
+      const dict = stream.dict;
+      if (dict.get(PDFName.of('Subtype')) !== PDFName.of('Image')) continue;
+
+      try {
+        // lookup resolves indirect sizes and throws when one is missing
+        const width = dict.lookup(PDFName.of('Width'), PDFNumber).asNumber();
+        const height = dict.lookup(PDFName.of('Height'), PDFNumber).asNumber();
+        let filter = dict.lookup(PDFName.of('Filter'));
+        if (filter instanceof PDFArray) filter = filter.size() === 1 ? filter.lookup(0) : null;
+        const filterName = filter ? filter.toString() : '';
+
+        if (filterName === '/DCTDecode') {
+          images.push({ data: Buffer.from(stream.contents), type: 'jpg', width, height });
+        } else if (filterName === '/FlateDecode') {
+          const colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+          const bits = dict.lookup(PDFName.of('BitsPerComponent'));
+          const channels = colorSpace === PDFName.of('DeviceRGB') ? 3 : colorSpace === PDFName.of('DeviceGray') ? 1 : 0;
+          if (!channels || !bits || bits.asNumber() !== 8 || dict.get(PDFName.of('DecodeParms'))) continue;
+
+          const raw = zlib.inflateSync(Buffer.from(stream.contents));
+          if (raw.length < width * height * channels) continue;
+
+          const image = new Jimp(width, height);
+          for (let i = 0, p = 0; i < width * height; i++, p += channels) {
+            const offset = i * 4;
+            image.bitmap.data[offset] = raw[p];
+            image.bitmap.data[offset + 1] = channels === 3 ? raw[p + 1] : raw[p];
+            image.bitmap.data[offset + 2] = channels === 3 ? raw[p + 2] : raw[p];
+            image.bitmap.data[offset + 3] = 255;
+          }
+          images.push({ data: await image.getBufferAsync(Jimp.MIME_PNG), type: 'png', width, height });
+        }
+      } catch (error) {
+        // Skip images that cannot be decoded
+      }
+    }
+
+    result.set(pageIndex, images);
+  }
+
+  return result;
+};
+
+module.exports = {
+  readPdfText,
+  groupLines,
+  groupParagraphs,
+  bodyFontSize,
+  headingLevels,
+  detectTables,
+  linesToText,
+  linesToMarkdown,
+  extractPageImages
+};
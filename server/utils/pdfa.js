@@ -0,0 +1,498 @@
+const crypto = require('crypto');
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFString,
+  PDFHexString,
+  PDFRawStream,
+  PDFStream,
+  decodePDFRawStream
+} = require('pdf-lib');
+
+// Bring a loaded pdf-lib document as close to PDF/A-1b or PDF/A-2b as pdf-lib
+// allows: XMP metadata with the PDF/A identification, an sRGB output intent,
+// a file identifier, and removal of features PDF/A forbids (JavaScript and
+// other actions, multimedia annotations, embedded files, and for PDF/A-1
+// transparency). Fonts cannot be embedded without their font programs, so
+// unembedded fonts are reported instead.
+//
+// Returns { fixed: [...], problems: [...] } describing what was changed and
+// what still stands in the way of conformance.
+const convertToPdfA = (pdf, { part = 1 } = {}) => {
+  const fixed = [];
+  const problems = [];
+  const context = pdf.context;
+  const catalog = pdf.catalog;
+
+  removeDocumentActions(pdf, fixed);
+  removeEmbeddedFiles(pdf, fixed);
+  fixForms(pdf, fixed);
+
+  pdf.getPages().forEach((page, index) => {
+    if (page.node.has(PDFName.of('AA'))) {
+      page.node.delete(PDFName.of('AA'));
+      fixed.push(`Removed page actions on page ${index + 1}`);
+    }
+    if (part === 1 && isTransparencyGroup(page.node.lookup(PDFName.of('Group')))) {
+      page.node.delete(PDFName.of('Group'));
+      fixed.push(`Removed the transparency group on page ${index + 1}`);
+    }
+    fixAnnotations(page, index, part, fixed);
+  });
+
+  checkResources(pdf, part, fixed, problems);
+
+  if (!catalog.has(PDFName.of('OutputIntents'))) {
+    catalog.set(PDFName.of('OutputIntents'), context.obj([createOutputIntent(context, part)]));
+    fixed.push('Added an sRGB output intent');
+  }
+
+  writeMetadata(pdf, part);
+  fixed.push(`Added XMP metadata identifying the file as PDF/A-${part}b`);
+
+  if (!context.trailerInfo.ID) {
+    const id = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+
+  return { fixed, problems };
+};
+
+// Actions that can run code or reach outside the document are not allowed
+const FORBIDDEN_ACTIONS = new Set([
+  'JavaScript', 'Launch', 'Sound', 'Movie', 'ResetForm', 'ImportData',
+  'Hide', 'SetOCGState', 'Rendition', 'Trans', 'GoTo3DView'
+]);
+
+const isForbiddenAction = (action) => {
+  if (!(action instanceof PDFDict)) return false;
+  const type = action.lookup(PDFName.of('S'));
+  return type instanceof PDFName && FORBIDDEN_ACTIONS.has(type.decodeText());
+};
+
+const removeDocumentActions = (pdf, fixed) => {
+  const catalog = pdf.catalog;
+
+  const names = catalog.lookup(PDFName.of('Names'));
+  if (names instanceof PDFDict && names.has(PDFName.of('JavaScript'))) {
+    names.delete(PDFName.of('JavaScript'));
+    fixed.push('Removed document-level JavaScript');
+  }
+
+  if (isForbiddenAction(catalog.lookup(PDFName.of('OpenAction')))) {
+    catalog.delete(PDFName.of('OpenAction'));
+    fixed.push('Removed the open action');
+  }
+
+  if (catalog.has(PDFName.of('AA'))) {
+    catalog.delete(PDFName.of('AA'));
+    fixed.push('Removed document additional actions');
+  }
+};
+
+const removeEmbeddedFiles = (pdf, fixed) => {
+  const names = pdf.catalog.lookup(PDFName.of('Names'));
+  if (names instanceof PDFDict && names.has(PDFName.of('EmbeddedFiles'))) {
+    names.delete(PDFName.of('EmbeddedFiles'));
+    fixed.push('Removed embedded file attachments');
+  }
+};
+
+const fixForms = (pdf, fixed) => {
+  const acroForm = pdf.catalog.lookup(PDFName.of('AcroForm'));
+  if (!(acroForm instanceof PDFDict)) return;
+
+  if (acroForm.has(PDFName.of('XFA'))) {
+    acroForm.delete(PDFName.of('XFA'));
+    fixed.push('Removed the XFA form');
+  }
+  if (acroForm.has(PDFName.of('NeedAppearances'))) {
+    acroForm.delete(PDFName.of('NeedAppearances'));
+    fixed.push('Removed NeedAppearances from the form');
+  }
+};
+
+// Annotation flags: Invisible, Hidden, Print, NoView, ToggleNoView
+const FLAG_INVISIBLE = 1;
+const FLAG_HIDDEN = 2;
+const FLAG_PRINT = 4;
+const FLAG_NO_VIEW = 32;
+const FLAG_TOGGLE_NO_VIEW = 256;
+
+const fixAnnotations = (page, pageIndex, part, fixed) => {
+  const annots = page.node.lookup(PDFName.of('Annots'));
+  if (!(annots instanceof PDFArray)) return;
+
+  const forbidden = new Set(['Movie', 'Sound', 'Screen', '3D', 'RichMedia']);
+  if (part === 1) forbidden.add('FileAttachment');
+
+  for (let i = annots.size() - 1; i >= 0; i--) {
+    const annot = annots.lookup(i);
+    if (!(annot instanceof PDFDict)) continue;
+
+    const subtype = annot.lookup(PDFName.of('Subtype'));
+    const subtypeName = subtype instanceof PDFName ? subtype.decodeText() : '';
+    if (forbidden.has(subtypeName)) {
+      annots.remove(i);
+      fixed.push(`Removed a ${subtypeName} annotation on page ${pageIndex + 1}`);
+      continue;
+    }
+
+    if (isForbiddenAction(annot.lookup(PDFName.of('A')))) {
+      annot.delete(PDFName.of('A'));
+      fixed.push(`Removed a script or launch action from a link on page ${pageIndex + 1}`);
+    }
+    if (annot.has(PDFName.of('AA'))) {
+      annot.delete(PDFName.of('AA'));
+      fixed.push(`Removed additional actions from a form field on page ${pageIndex + 1}`);
+    }
+
+    // Annotations must print and must not be hidden (popups are exempt)
+    if (subtypeName !== 'Popup') {
+      const flagsObject = annot.lookup(PDFName.of('F'));
+      const flags = flagsObject instanceof PDFNumber ? flagsObject.asNumber() : 0;
+      const wanted = (flags | FLAG_PRINT) & ~(FLAG_INVISIBLE | FLAG_HIDDEN | FLAG_NO_VIEW | FLAG_TOGGLE_NO_VIEW);
+      if (wanted !== flags) {
+        annot.set(PDFName.of('F'), PDFNumber.of(wanted));
+        fixed.push(`Set an annotation on page ${pageIndex + 1} to print`);
+      }
+    }
+  }
+};
+
+const isTransparencyGroup = (group) => (
+  group instanceof PDFDict && group.lookup(PDFName.of('S')) === PDFName.of('Transparency')
+);
+
+// Walk the resources of every page, form XObject and annotation appearance,
+// fixing what can be fixed in place and collecting the rest
+const checkResources = (pdf, part, fixed, problems) => {
+  const context = pdf.context;
+  const visited = new Set();
+  const fontPages = new Map();
+  const imageProblems = new Set();
+  let transparencyFixes = 0;
+  let usesCmyk = false;
+
+  const once = (object) => {
+    if (visited.has(object)) return false;
+    visited.add(object);
+    return true;
+  };
+
+  const checkContent = (stream) => {
+    if (usesCmyk || !(stream instanceof PDFRawStream)) return;
+    try {
+      const text = Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1');
+      if (/(^|\s)[kK](\s|$)/.test(text) || /\/DeviceCMYK\s+(cs|CS)\b/.test(text)) usesCmyk = true;
+    } catch (error) {
+      // Streams with filters pdf-lib cannot decode are skipped
+    }
+  };
+
+  const visitResources = (resources, pageNumber) => {
+    if (!(resources instanceof PDFDict)) return;
+
+    // Fonts are noted for every page that uses them, even when pages share
+    // one resource dictionary; everything else is checked once
+    const fonts = resources.lookup(PDFName.of('Font'));
+    if (fonts instanceof PDFDict) {
+      fonts.entries().forEach(([, ref]) => {
+        const font = context.lookup(ref);
+        if (!(font instanceof PDFDict) || isFontEmbedded(font)) return;
+        const baseFont = font.lookup(PDFName.of('BaseFont'));
+        const name = baseFont instanceof PDFName ? baseFont.decodeText() : 'Unnamed font';
+        if (!fontPages.has(name)) fontPages.set(name, new Set());
+        fontPages.get(name).add(pageNumber);
+      });
+    }
+
+    if (!once(resources)) return;
+
+    const extGStates = resources.lookup(PDFName.of('ExtGState'));
+    if (part === 1 && extGStates instanceof PDFDict) {
+      extGStates.entries().forEach(([, ref]) => {
+        const state = context.lookup(ref);
+        if (!(state instanceof PDFDict) || !once(state)) return;
+        const smask = state.lookup(PDFName.of('SMask'));
+        if (smask && smask !== PDFName.of('None')) {
+          state.set(PDFName.of('SMask'), PDFName.of('None'));
+          transparencyFixes++;
+        }
+        ['CA', 'ca'].forEach(key => {
+          const alpha = state.lookup(PDFName.of(key));
+          if (alpha instanceof PDFNumber && alpha.asNumber() !== 1) {
+            state.set(PDFName.of(key), PDFNumber.of(1));
+            transparencyFixes++;
+          }
+        });
+        const blend = state.lookup(PDFName.of('BM'));
+        if (blend && blend !== PDFName.of('Normal') && blend !== PDFName.of('Compatible')) {
+          state.set(PDFName.of('BM'), PDFName.of('Normal'));
+          transparencyFixes++;
+        }
+      });
+    }
+
+    const xObjects = resources.lookup(PDFName.of('XObject'));
+    if (xObjects instanceof PDFDict) {
+      xObjects.entries().forEach(([, ref]) => {
+        const xObject = context.lookup(ref);
+        if (!(xObject instanceof PDFStream) || !once(xObject)) return;
+        const dict = xObject.dict;
+        const subtype = dict.lookup(PDFName.of('Subtype'));
+
+        if (subtype === PDFName.of('Image')) {
+          if (dict.lookup(PDFName.of('Interpolate'))) {
+            dict.delete(PDFName.of('Interpolate'));
+          }
+          if (dict.has(PDFName.of('Alternates')) || dict.has(PDFName.of('OPI'))) {
+            dict.delete(PDFName.of('Alternates'));
+            dict.delete(PDFName.of('OPI'));
+          }
+          if (part === 1 && dict.has(PDFName.of('SMask'))) {
+            imageProblems.add(`An image on page ${pageNumber} has a soft mask (transparency), which PDF/A-1 does not allow`);
+          }
+          if (dict.lookup(PDFName.of('ColorSpace')) === PDFName.of('DeviceCMYK')) usesCmyk = true;
+          if (dict.lookup(PDFName.of('Filter')) === PDFName.of('LZWDecode') && part === 1) {
+            imageProblems.add(`An image on page ${pageNumber} uses LZW compression, which PDF/A-1 does not allow`);
+          }
+        } else if (subtype === PDFName.of('Form')) {
+          if (part === 1 && isTransparencyGroup(dict.lookup(PDFName.of('Group')))) {
+            dict.delete(PDFName.of('Group'));
+            transparencyFixes++;
+          }
+          if (dict.lookup(PDFName.of('Subtype2')) === PDFName.of('PS')) {
+            imageProblems.add(`Page ${pageNumber} contains a PostScript XObject`);
+          }
+          checkContent(xObject);
+          visitResources(dict.lookup(PDFName.of('Resources')), pageNumber);
+        } else if (subtype === PDFName.of('PS')) {
+          imageProblems.add(`Page ${pageNumber} contains a PostScript XObject`);
+        }
+      });
+    }
+  };
+
+  pdf.getPages().forEach((page, index) => {
+    const pageNumber = index + 1;
+    visitResources(page.node.Resources(), pageNumber);
+
+    const contents = page.node.Contents();
+    if (contents instanceof PDFArray) {
+      for (let i = 0; i < contents.size(); i++) checkContent(contents.lookup(i));
+    } else {
+      checkContent(contents);
+    }
+
+    const annots = page.node.lookup(PDFName.of('Annots'));
+    if (annots instanceof PDFArray) {
+      for (let i = 0; i < annots.size(); i++) {
+        const annot = annots.lookup(i);
+        const appearance = annot instanceof PDFDict && annot.lookup(PDFName.of('AP'));
+        const normal = appearance instanceof PDFDict && appearance.lookup(PDFName.of('N'));
+        if (normal instanceof PDFStream) {
+          visitResources(normal.dict.lookup(PDFName.of('Resources')), pageNumber);
+        }
+      }
+    }
+  });
+
+  if (transparencyFixes) {
+    fixed.push(`Removed ${transparencyFixes} transparency setting${transparencyFixes === 1 ? '' : 's'} (not allowed in PDF/A-1)`);
+  }
+
+  fontPages.forEach((pages, name) => {
+    problems.push(`Font ${name} is not embedded (used on page${pages.size === 1 ? '' : 's'} ${[...pages].join(', ')})`);
+  });
+
+  problems.push(...imageProblems);
+
+  if (usesCmyk) {
+    problems.push('The document uses CMYK colour, which does not match the sRGB output intent');
+  }
+};
+
+// A font is embedded when its descriptor (or its descendant's, for composite
+// fonts) carries a font program. Type 3 fonts are drawn from content streams.
+const isFontEmbedded = (font) => {
+  const subtype = font.lookup(PDFName.of('Subtype'));
+  if (subtype === PDFName.of('Type3')) return true;
+
+  let target = font;
+  if (subtype === PDFName.of('Type0')) {
+    const descendants = font.lookup(PDFName.of('DescendantFonts'));
+    target = descendants instanceof PDFArray ? descendants.lookup(0) : null;
+  }
+
+  const descriptor = target instanceof PDFDict && target.lookup(PDFName.of('FontDescriptor'));
+  if (!(descriptor instanceof PDFDict)) return false;
+  return ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key)));
+};
+
+const createOutputIntent = (context, part) => {
+  const profile = createSrgbProfile();
+  const profileRef = context.register(
+    context.flateStream(profile, { N: 3 })
+  );
+
+  return context.obj({
+    Type: 'OutputIntent',
+    // PDF/A-1 and PDF/A-2 both use the GTS_PDFA1 output intent subtype
+    S: 'GTS_PDFA1',
+    OutputConditionIdentifier: PDFString.of('sRGB IEC61966-2.1'),
+    RegistryName: PDFString.of('http://www.color.org'),
+    Info: PDFString.of('sRGB IEC61966-2.1'),
+    DestOutputProfile: profileRef
+  });
+};
+
+// Build a small ICC v2 display profile for sRGB: D50 white point, the
+// Bradford-adapted sRGB primaries and the sRGB tone curve as a 1024-entry table
+const createSrgbProfile = () => {
+  const s15Fixed16 = (value) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32BE(Math.round(value * 65536));
+    return buffer;
+  };
+
+  const xyzTag = (x, y, z) => Buffer.concat([
+    Buffer.from('XYZ '), Buffer.alloc(4), s15Fixed16(x), s15Fixed16(y), s15Fixed16(z)
+  ]);
+
+  const textTag = (text) => Buffer.concat([Buffer.from('text'), Buffer.alloc(4), Buffer.from(`${text}\0`, 'ascii')]);
+
+  const descTag = (text) => {
+    const ascii = Buffer.from(`${text}\0`, 'ascii');
+    const count = Buffer.alloc(4);
+    count.writeUInt32BE(ascii.length);
+    // Unicode and ScriptCode parts are left empty: 4 + 4 + 2 + 1 + 67 bytes
+    return Buffer.concat([Buffer.from('desc'), Buffer.alloc(4), count, ascii, Buffer.alloc(78)]);
+  };
+
+  const curveTag = () => {
+    const entries = 1024;
+    const buffer = Buffer.alloc(12 + entries * 2);
+    buffer.write('curv', 0, 'ascii');
+    buffer.writeUInt32BE(entries, 8);
+    for (let i = 0; i < entries; i++) {
+      const value = i / (entries - 1);
+      const linear = value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+      buffer.writeUInt16BE(Math.round(linear * 65535), 12 + i * 2);
+    }
+    return buffer;
+  };
+
+  const curve = curveTag();
+  const tags = [
+    ['desc', descTag('sRGB IEC61966-2.1')],
+    ['cprt', textTag('No copyright, use freely')],
+    ['wtpt', xyzTag(0.9642, 1.0, 0.8249)],
+    ['rXYZ', xyzTag(0.4361, 0.2225, 0.0139)],
+    ['gXYZ', xyzTag(0.3851, 0.7169, 0.0971)],
+    ['bXYZ', xyzTag(0.1431, 0.0606, 0.7141)],
+    ['rTRC', curve],
+    ['gTRC', curve],
+    ['bTRC', curve]
+  ];
+
+  // Tag data follows the header and tag table, each entry 4-byte aligned;
+  // the three tone curves share one copy of the data
+  const tableSize = 4 + tags.length * 12;
+  const table = Buffer.alloc(tableSize);
+  table.writeUInt32BE(tags.length, 0);
+  const dataParts = [];
+  const offsets = new Map();
+  let offset = 128 + tableSize;
+
+  tags.forEach(([signature, data], index) => {
+    if (!offsets.has(data)) {
+      offsets.set(data, offset);
+      const padded = Buffer.concat([data, Buffer.alloc((4 - (data.length % 4)) % 4)]);
+      dataParts.push(padded);
+      offset += padded.length;
+    }
+    const entry = 4 + index * 12;
+    table.write(signature, entry, 'ascii');
+    table.writeUInt32BE(offsets.get(data), entry + 4);
+    table.writeUInt32BE(data.length, entry + 8);
+  });
+
+  const header = Buffer.alloc(128);
+  header.writeUInt32BE(offset, 0); // profile size
+  header.writeUInt32BE(0x02100000, 8); // version 2.1
+  header.write('mntr', 12, 'ascii');
+  header.write('RGB ', 16, 'ascii');
+  header.write('XYZ ', 20, 'ascii');
+  const now = new Date();
+  [now.getUTCFullYear(), now.getUTCMonth() + 1, now.getUTCDate(), now.getUTCHours(), now.getUTCMinutes(), now.getUTCSeconds()]
+    .forEach((value, index) => header.writeUInt16BE(value, 24 + index * 2));
+  header.write('acsp', 36, 'ascii');
+  s15Fixed16(0.9642).copy(header, 68); // D50 illuminant
+  s15Fixed16(1.0).copy(header, 72);
+  s15Fixed16(0.8249).copy(header, 76);
+
+  return Buffer.concat([header, table, ...dataParts]);
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// ISO 8601 without milliseconds, matching the PDF date pdf-lib writes to the
+// document information dictionary
+const xmpDate = (date) => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+// Write XMP metadata mirroring the document information dictionary, which
+// PDF/A requires to agree with it
+const writeMetadata = (pdf, part) => {
+  const now = new Date();
+  const created = pdf.getCreationDate() || now;
+  pdf.setCreationDate(created);
+  pdf.setModificationDate(now);
+  pdf.setProducer('Moniconverter');
+
+  const title = pdf.getTitle();
+  const author = pdf.getAuthor();
+  const subject = pdf.getSubject();
+  const keywords = pdf.getKeywords();
+  const creator = pdf.getCreator();
+
+  const xmp = `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/">
+      <pdfaid:part>${part}</pdfaid:part>
+      <pdfaid:conformance>B</pdfaid:conformance>
+      <dc:format>application/pdf</dc:format>${title ? `
+      <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(title)}</rdf:li></rdf:Alt></dc:title>` : ''}${author ? `
+      <dc:creator><rdf:Seq><rdf:li>${escapeXml(author)}</rdf:li></rdf:Seq></dc:creator>` : ''}${subject ? `
+      <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(subject)}</rdf:li></rdf:Alt></dc:description>` : ''}${keywords ? `
+      <pdf:Keywords>${escapeXml(keywords)}</pdf:Keywords>` : ''}${creator ? `
+      <xmp:CreatorTool>${escapeXml(creator)}</xmp:CreatorTool>` : ''}
+      <pdf:Producer>Moniconverter</pdf:Producer>
+      <xmp:CreateDate>${xmpDate(created)}</xmp:CreateDate>
+      <xmp:ModifyDate>${xmpDate(now)}</xmp:ModifyDate>
+      <xmp:MetadataDate>${xmpDate(now)}</xmp:MetadataDate>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+
+  // The metadata stream must stay uncompressed so archives can read it
+  const metadata = pdf.context.stream(Buffer.from(xmp, 'utf8'), {
+    Type: 'Metadata',
+    Subtype: 'XML'
+  });
+  pdf.catalog.set(PDFName.of('Metadata'), pdf.context.register(metadata));
+};
+
+module.exports = { convertToPdfA };
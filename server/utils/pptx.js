@@ -0,0 +1,520 @@
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const Jimp = require('jimp');
+const PDFKit = require('pdfkit');
+const { parseDocument } = require('htmlparser2');
+const { drawTable } = require('./pdfTable');
+
+// Read a .pptx (Office Open XML) presentation and draw each slide on its own
+// PDF page: text boxes with their runs and bullet levels, pictures, tables and
+// solid fills. Placeholder positions are inherited from the slide layout and
+// master when the slide does not set them. Theme fonts and colours, charts,
+// SmartArt and effects are not rendered.
+
+// Office measures positions in EMUs; there are 12700 EMUs in a point
+const EMU_PER_POINT = 12700;
+
+// Default sizes (points) when neither the run nor the placeholder sets one
+const DEFAULT_TITLE_SIZE = 36;
+const DEFAULT_BODY_SIZES = [24, 20, 18, 16, 16, 14, 14, 14, 14];
+const DEFAULT_TEXT_SIZE = 18;
+
+const parseXml = (xml) => parseDocument(xml, { xmlMode: true });
+
+const elements = (node) => (node && node.children ? node.children.filter(child => child.type === 'tag') : []);
+const child = (node, name) => elements(node).find(element => element.name === name) || null;
+const childrenNamed = (node, name) => elements(node).filter(element => element.name === name);
+
+// Depth-first search for the first descendant with the given name
+const find = (node, name) => {
+  for (const element of elements(node)) {
+    if (element.name === name) return element;
+    const found = find(element, name);
+    if (found) return found;
+  }
+  return null;
+};
+
+const findAll = (node, name, results = []) => {
+  elements(node).forEach(element => {
+    if (element.name === name) results.push(element);
+    findAll(element, name, results);
+  });
+  return results;
+};
+
+const textOf = (node) => findAll(node, 'a:t')
+  .map(t => (t.children || []).map(c => c.data || '').join(''))
+  .join('');
+
+// Resolve a relationship target relative to the part that references it
+const resolveTarget = (partPath, target) => path.posix.normalize(
+  path.posix.join(path.posix.dirname(partPath), target)
+);
+
+const readRelationships = async (zip, partPath) => {
+  const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+  const file = zip.file(relsPath);
+  const relationships = {};
+  if (!file) return relationships;
+
+  const dom = parseXml(await file.async('string'));
+  findAll(dom, 'Relationship').forEach(rel => {
+    relationships[rel.attribs.Id] = {
+      type: rel.attribs.Type.split('/').pop(),
+      target: rel.attribs.TargetMode === 'External' ? null : resolveTarget(partPath, rel.attribs.Target)
+    };
+  });
+  return relationships;
+};
+
+const loadPart = async (zip, partPath) => {
+  const file = zip.file(partPath);
+  return file ? parseXml(await file.async('string')) : null;
+};
+
+const readTransform = (spPr) => {
+  const xfrm = child(spPr, 'a:xfrm');
+  if (!xfrm) return null;
+  const off = child(xfrm, 'a:off');
+  const ext = child(xfrm, 'a:ext');
+  if (!off || !ext) return null;
+  return {
+    x: parseInt(off.attribs.x) / EMU_PER_POINT,
+    y: parseInt(off.attribs.y) / EMU_PER_POINT,
+    width: parseInt(ext.attribs.cx) / EMU_PER_POINT,
+    height: parseInt(ext.attribs.cy) / EMU_PER_POINT
+  };
+};
+
+const readSolidColor = (node) => {
+  const fill = child(node, 'a:solidFill');
+  const srgb = fill && child(fill, 'a:srgbClr');
+  return srgb ? `#${srgb.attribs.val}` : null;
+};
+
+// Placeholder identity of a shape: { type, idx } or null
+const readPlaceholder = (shape) => {
+  const nvSpPr = child(shape, 'p:nvSpPr') || child(shape, 'p:nvPicPr');
+  const nvPr = nvSpPr && child(nvSpPr, 'p:nvPr');
+  const ph = nvPr && child(nvPr, 'p:ph');
+  if (!ph) return null;
+  return { type: ph.attribs.type || 'body', idx: ph.attribs.idx };
+};
+
+// Placeholder shapes from a layout or master, indexed for lookup
+const collectPlaceholders = (dom) => {
+  const placeholders = [];
+  if (!dom) return placeholders;
+  findAll(dom, 'p:sp').forEach(shape => {
+    const placeholder = readPlaceholder(shape);
+    if (!placeholder) return;
+    const spPr = child(shape, 'p:spPr');
+    const txBody = child(shape, 'p:txBody');
+    placeholders.push({
+      ...placeholder,
+      transform: readTransform(spPr),
+      bodyPr: txBody && child(txBody, 'a:bodyPr')
+    });
+  });
+  return placeholders;
+};
+
+const matchPlaceholder = (placeholders, placeholder) => {
+  const sameType = (a, b) => a === b ||
+    (['title', 'ctrTitle'].includes(a) && ['title', 'ctrTitle'].includes(b)) ||
+    (['body', 'obj', 'subTitle'].includes(a) && ['body', 'obj', 'subTitle'].includes(b));
+
+  return (placeholder.idx !== undefined && placeholders.find(p => p.idx === placeholder.idx)) ||
+    placeholders.find(p => p.type === placeholder.type) ||
+    placeholders.find(p => sameType(p.type, placeholder.type)) ||
+    null;
+};
+
+const isTitle = (placeholder) => placeholder && ['title', 'ctrTitle'].includes(placeholder.type);
+const isBody = (placeholder) => placeholder && ['body', 'obj'].includes(placeholder.type);
+
+const readParagraphs = (txBody, placeholder) => {
+  const bodyPr = child(txBody, 'a:bodyPr');
+  const autofit = bodyPr && child(bodyPr, 'a:normAutofit');
+  const fontScale = autofit && autofit.attribs.fontScale ? parseInt(autofit.attribs.fontScale) / 100000 : 1;
+
+  return childrenNamed(txBody, 'a:p').map(p => {
+    const pPr = child(p, 'a:pPr');
+    const level = pPr && pPr.attribs.lvl ? parseInt(pPr.attribs.lvl) : 0;
+    const alignMap = { ctr: 'center', r: 'right', just: 'justify' };
+
+    // Body placeholders are bulleted unless switched off; other shapes only
+    // when a bullet is given explicitly
+    let bullet = null;
+    if (pPr && child(pPr, 'a:buNone')) {
+      bullet = null;
+    } else if (pPr && child(pPr, 'a:buAutoNum')) {
+      bullet = { numbered: true };
+    } else if (pPr && child(pPr, 'a:buChar')) {
+      bullet = { char: child(pPr, 'a:buChar').attribs.char };
+    } else if (isBody(placeholder)) {
+      bullet = { char: '•' };
+    }
+
+    const defaultSize = isTitle(placeholder)
+      ? DEFAULT_TITLE_SIZE
+      : isBody(placeholder) ? DEFAULT_BODY_SIZES[level] : DEFAULT_TEXT_SIZE;
+
+    const runs = elements(p)
+      .filter(element => ['a:r', 'a:fld', 'a:br'].includes(element.name))
+      .map(element => {
+        if (element.name === 'a:br') return { text: '\n', size: defaultSize * fontScale };
+        const rPr = child(element, 'a:rPr');
+        const attribs = (rPr && rPr.attribs) || {};
+        return {
+          text: textOf(element),
+          size: (attribs.sz ? parseInt(attribs.sz) / 100 : defaultSize) * fontScale,
+          bold: attribs.b === '1',
+          italic: attribs.i === '1',
+          underline: attribs.u && attribs.u !== 'none',
+          color: rPr ? readSolidColor(rPr) : null
+        };
+      });
+
+    const endParaRPr = child(p, 'a:endParaRPr');
+    const emptySize = endParaRPr && endParaRPr.attribs.sz ? parseInt(endParaRPr.attribs.sz) / 100 : defaultSize;
+
+    return {
+      level,
+      bullet: runs.some(run => run.text.trim()) ? bullet : null,
+      align: pPr && alignMap[pPr.attribs.algn],
+      runs,
+      emptySize: emptySize * fontScale
+    };
+  });
+};
+
+const readImage = async (zip, partPath) => {
+  const file = zip.file(partPath);
+  if (!file) return null;
+  let buffer = await file.async('nodebuffer');
+
+  const isJpeg = buffer[0] === 0xff && buffer[1] === 0xd8;
+  const isPng = buffer.length > 4 && buffer.readUInt32BE(0) === 0x89504e47;
+  if (!isJpeg && !isPng) {
+    // PDFKit only takes JPEG and PNG; EMF/WMF and other vector formats are skipped
+    try {
+      buffer = await (await Jimp.read(buffer)).getBufferAsync(Jimp.MIME_PNG);
+    } catch (error) {
+      return null;
+    }
+  }
+  return buffer;
+};
+
+// Walk a shape tree, mapping group child coordinates into slide coordinates
+const readShapes = async (zip, tree, context, transform = null) => {
+  const shapes = [];
+  const mapBox = (box) => {
+    if (!box || !transform) return box;
+    const sx = transform.childWidth ? transform.width / transform.childWidth : 1;
+    const sy = transform.childHeight ? transform.height / transform.childHeight : 1;
+    return {
+      x: transform.x + (box.x - transform.childX) * sx,
+      y: transform.y + (box.y - transform.childY) * sy,
+      width: box.width * sx,
+      height: box.height * sy
+    };
+  };
+
+  for (const element of elements(tree)) {
+    if (element.name === 'p:sp') {
+      const placeholder = readPlaceholder(element);
+      const inherited = placeholder
+        ? matchPlaceholder(context.layoutPlaceholders, placeholder) ||
+          matchPlaceholder(context.masterPlaceholders, placeholder)
+        : null;
+
+      const spPr = child(element, 'p:spPr');
+      const box = mapBox(readTransform(spPr) || (inherited && inherited.transform));
+      if (!box) continue;
+
+      const txBody = child(element, 'p:txBody');
+      const bodyPr = (txBody && child(txBody, 'a:bodyPr')) || {};
+      const anchor = (bodyPr.attribs && bodyPr.attribs.anchor) ||
+        (inherited && inherited.bodyPr && inherited.bodyPr.attribs.anchor) ||
+        (isTitle(placeholder) ? 'ctr' : 't');
+
+      shapes.push({
+        type: 'text',
+        ...box,
+        fill: readSolidColor(spPr),
+        anchor,
+        placeholder,
+        paragraphs: txBody ? readParagraphs(txBody, placeholder) : []
+      });
+    } else if (element.name === 'p:pic') {
+      const blip = find(element, 'a:blip');
+      const rel = blip && context.relationships[blip.attribs['r:embed']];
+      const box = mapBox(readTransform(child(element, 'p:spPr')));
+      if (!rel || !rel.target || !box) continue;
+
+      const data = await readImage(zip, rel.target);
+      if (data) shapes.push({ type: 'image', ...box, data });
+    } else if (element.name === 'p:graphicFrame') {
+      const table = find(element, 'a:tbl');
+      const xfrm = child(element, 'p:xfrm');
+      if (!table || !xfrm) continue;
+
+      // A frame without an offset or size sits at the top left and takes the
+      // width of its columns
+      const off = child(xfrm, 'a:off');
+      const ext = child(xfrm, 'a:ext');
+      const grid = child(table, 'a:tblGrid');
+      const columnWidths = childrenNamed(grid, 'a:gridCol').map(col => (parseInt(col.attribs.w) || 0) / EMU_PER_POINT);
+      const box = mapBox({
+        x: off ? (parseInt(off.attribs.x) || 0) / EMU_PER_POINT : 0,
+        y: off ? (parseInt(off.attribs.y) || 0) / EMU_PER_POINT : 0,
+        width: ext ? (parseInt(ext.attribs.cx) || 0) / EMU_PER_POINT : columnWidths.reduce((sum, w) => sum + w, 0),
+        height: ext ? (parseInt(ext.attribs.cy) || 0) / EMU_PER_POINT : 0
+      });
+      shapes.push({
+        type: 'table',
+        ...box,
+        columnWidths,
+        rows: childrenNamed(table, 'a:tr').map(tr => childrenNamed(tr, 'a:tc').map(tc => (
+          childrenNamed(child(tc, 'a:txBody'), 'a:p').map(textOf).join('\n')
+        )))
+      });
+    } else if (element.name === 'p:grpSp') {
+      const grpSpPr = child(element, 'p:grpSpPr');
+      const xfrm = child(grpSpPr, 'a:xfrm');
+      let groupTransform = transform;
+      if (xfrm && child(xfrm, 'a:off') && child(xfrm, 'a:chOff')) {
+        const outer = mapBox(readTransform(grpSpPr));
+        const chOff = child(xfrm, 'a:chOff');
+        const chExt = child(xfrm, 'a:chExt');
+        groupTransform = {
+          ...outer,
+          childX: parseInt(chOff.attribs.x) / EMU_PER_POINT,
+          childY: parseInt(chOff.attribs.y) / EMU_PER_POINT,
+          childWidth: parseInt(chExt.attribs.cx) / EMU_PER_POINT,
+          childHeight: parseInt(chExt.attribs.cy) / EMU_PER_POINT
+        };
+      }
+      shapes.push(...await readShapes(zip, element, context, groupTransform));
+    }
+  }
+
+  return shapes;
+};
+
+// Read slide size, slides in presentation order, their shapes and notes text
+const readPresentation = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const presentationPath = 'ppt/presentation.xml';
+  const presentation = await loadPart(zip, presentationPath);
+  if (!presentation) {
+    throw new Error('Not a PowerPoint presentation (ppt/presentation.xml is missing)');
+  }
+
+  const sldSz = find(presentation, 'p:sldSz');
+  const width = sldSz ? parseInt(sldSz.attribs.cx) / EMU_PER_POINT : 720;
+  const height = sldSz ? parseInt(sldSz.attribs.cy) / EMU_PER_POINT : 540;
+
+  const presentationRels = await readRelationships(zip, presentationPath);
+  const slideIds = findAll(find(presentation, 'p:sldIdLst'), 'p:sldId');
+  const placeholderCache = new Map();
+
+  const placeholdersFor = async (partPath) => {
+    if (!partPath) return [];
+    if (!placeholderCache.has(partPath)) {
+      placeholderCache.set(partPath, collectPlaceholders(await loadPart(zip, partPath)));
+    }
+    return placeholderCache.get(partPath);
+  };
+
+  const slides = [];
+  for (const slideId of slideIds) {
+    const rel = presentationRels[slideId.attribs['r:id']];
+    if (!rel || !rel.target) continue;
+
+    const slidePath = rel.target;
+    const slide = await loadPart(zip, slidePath);
+    if (!slide) continue;
+
+    const relationships = await readRelationships(zip, slidePath);
+    const layoutRel = Object.values(relationships).find(r => r.type === 'slideLayout');
+    const layoutPath = layoutRel && layoutRel.target;
+    const layoutRels = layoutPath ? await readRelationships(zip, layoutPath) : {};
+    const masterRel = Object.values(layoutRels).find(r => r.type === 'slideMaster');
+
+    const context = {
+      relationships,
+      layoutPlaceholders: await placeholdersFor(layoutPath),
+      masterPlaceholders: await placeholdersFor(masterRel && masterRel.target)
+    };
+
+    const cSld = find(slide, 'p:cSld');
+    const bg = cSld && child(cSld, 'p:bg');
+    const bgPr = bg && child(bg, 'p:bgPr');
+
+    const notesRel = Object.values(relationships).find(r => r.type === 'notesSlide');
+    let notes = '';
+    if (notesRel && notesRel.target) {
+      const notesSlide = await loadPart(zip, notesRel.target);
+      notes = findAll(notesSlide, 'p:sp')
+        .filter(shape => {
+          const placeholder = readPlaceholder(shape);
+          return placeholder && placeholder.type === 'body';
+        })
+        .map(shape => childrenNamed(child(shape, 'p:txBody'), 'a:p').map(textOf).join('\n'))
+        .join('\n')
+        .trim();
+    }
+
+    slides.push({
+      background: bgPr ? readSolidColor(bgPr) : null,
+      shapes: await readShapes(zip, find(cSld, 'p:spTree'), context),
+      notes
+    });
+  }
+
+  return { width, height, slides };
+};
+
+const fontFor = (run) => {
+  if (run.bold && run.italic) return 'Helvetica-BoldOblique';
+  if (run.bold) return 'Helvetica-Bold';
+  if (run.italic) return 'Helvetica-Oblique';
+  return 'Helvetica';
+};
+
+// Text box insets PowerPoint uses by default (0.1in left/right, 0.05in top/bottom)
+const INSET_X = 7.2;
+const INSET_Y = 3.6;
+const LEVEL_INDENT = 27;
+
+const paragraphHeight = (doc, paragraph, width) => {
+  const text = paragraph.runs.map(run => run.text).join('') || ' ';
+  const size = paragraph.runs.length ? Math.max(...paragraph.runs.map(run => run.size)) : paragraph.emptySize;
+  doc.font('Helvetica').fontSize(size);
+  return doc.heightOfString(text, { width: Math.max(1, width) }) + size * 0.2;
+};
+
+const drawTextShape = (doc, shape) => {
+  if (shape.fill) {
+    doc.save().rect(shape.x, shape.y, shape.width, shape.height).fill(shape.fill).restore();
+  }
+
+  const innerX = shape.x + INSET_X;
+  const innerWidth = shape.width - INSET_X * 2;
+  const layouts = shape.paragraphs.map(paragraph => {
+    const indent = paragraph.level * LEVEL_INDENT + (paragraph.bullet ? LEVEL_INDENT * 0.7 : 0);
+    return { paragraph, indent, height: paragraphHeight(doc, paragraph, innerWidth - indent) };
+  });
+  const totalHeight = layouts.reduce((sum, layout) => sum + layout.height, 0);
+
+  let y = shape.y + INSET_Y;
+  if (shape.anchor === 'ctr') y = shape.y + Math.max(INSET_Y, (shape.height - totalHeight) / 2);
+  if (shape.anchor === 'b') y = shape.y + Math.max(INSET_Y, shape.height - totalHeight - INSET_Y);
+
+  // Text that runs past the bottom of the slide is cut off with an ellipsis;
+  // letting PDFKit wrap it would start a new page
+  const slideBottom = doc.page.height;
+  let number = 0;
+  layouts.forEach(({ paragraph, indent, height }) => {
+    if (y >= slideBottom) return;
+    const textX = innerX + indent;
+    const textWidth = Math.max(1, innerWidth - indent);
+
+    if (paragraph.bullet) {
+      number = paragraph.bullet.numbered ? number + 1 : 0;
+      const marker = paragraph.bullet.numbered ? `${number}.` : (paragraph.bullet.char || '•');
+      const size = paragraph.runs[0] ? paragraph.runs[0].size : paragraph.emptySize;
+      doc.font('Helvetica').fontSize(size).fillColor((paragraph.runs[0] && paragraph.runs[0].color) || '#000000');
+      doc.text(marker, innerX + paragraph.level * LEVEL_INDENT, y, { width: LEVEL_INDENT, height: slideBottom - y, lineBreak: false });
+    }
+
+    const runs = paragraph.runs.filter(run => run.text);
+    runs.forEach((run, index) => {
+      doc.font(fontFor(run)).fontSize(run.size).fillColor(run.color || '#000000');
+      const options = {
+        width: textWidth,
+        align: paragraph.align || 'left',
+        underline: !!run.underline,
+        continued: index < runs.length - 1,
+        height: slideBottom - y,
+        ellipsis: true
+      };
+      if (index === 0) {
+        doc.text(run.text, textX, y, options);
+      } else {
+        doc.text(run.text, options);
+      }
+    });
+
+    y += height;
+  });
+};
+
+// Draw the presentation into a PDF file, one page per slide. With
+// includeNotes, each slide that has speaker notes is followed by a notes page.
+const renderPresentation = async (presentation, outputPath, options = {}) => {
+  const { includeNotes = false } = options;
+  const { width, height, slides } = presentation;
+
+  const doc = new PDFKit({ size: [width, height], margin: 0, autoFirstPage: false });
+  const stream = fs.createWriteStream(outputPath);
+  doc.pipe(stream);
+
+  slides.forEach((slide, index) => {
+    doc.addPage({ size: [width, height], margin: 0 });
+
+    if (slide.background) {
+      doc.save().rect(0, 0, width, height).fill(slide.background).restore();
+    }
+
+    slide.shapes.forEach(shape => {
+      if (shape.type === 'image') {
+        try {
+          doc.image(shape.data, shape.x, shape.y, { width: shape.width, height: shape.height });
+        } catch (error) {
+          // Skip images PDFKit cannot decode
+        }
+      } else if (shape.type === 'table') {
+        doc.y = shape.y;
+        drawTable(doc, shape.rows, {
+          x: shape.x,
+          width: shape.width,
+          columnWidths: shape.columnWidths,
+          headerRows: 1,
+          fontSize: 12,
+          repeatHeader: false,
+          clip: true
+        });
+      } else {
+        drawTextShape(doc, shape);
+      }
+    });
+
+    if (includeNotes && slide.notes) {
+      const margin = 50;
+      doc.addPage({ size: [width, height], margin });
+      doc.font('Helvetica-Bold').fontSize(16).fillColor('#000000')
+        .text(`Notes for slide ${index + 1}`, margin, margin);
+      doc.moveDown();
+      doc.font('Helvetica').fontSize(12).text(slide.notes, {
+        width: width - margin * 2,
+        height: Math.max(1, height - margin - doc.y),
+        ellipsis: true
+      });
+    }
+  });
+
+  doc.end();
+
+  await new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+};
+
+module.exports = { readPresentation, renderPresentation };
@@ -0,0 +1,110 @@
+const XLSX = require('xlsx');
+
+// Excel measures column widths in characters of the default font; one
+// character is about 7px, which is 5.25pt.
+const POINTS_PER_CHARACTER = 5.25;
+const DEFAULT_COLUMN_WIDTH = 8.43 * POINTS_PER_CHARACTER;
+
+// Check an A1-style range such as "B2:F40" or "C5" and return it in upper
+// case, or null when it is not one. decode_range alone accepts almost anything.
+const parseRange = (text) => {
+  const range = String(text).trim().toUpperCase();
+  if (!/^\$?[A-Z]{1,3}\$?\d+(?::\$?[A-Z]{1,3}\$?\d+)?$/.test(range)) return null;
+
+  const { s: start, e: end } = XLSX.utils.decode_range(range.replace(/\$/g, ''));
+  const valid = start.r >= 0 && start.c >= 0 && end.r >= 0 && end.c >= 0 &&
+    start.r <= end.r && start.c <= end.c;
+  return valid ? range.replace(/\$/g, '') : null;
+};
+
+// Read the cells of a worksheet as they are displayed in Excel. `range` is an
+// A1-style range ("A1:F40"); it is clipped to the used area of the sheet.
+// Hidden rows and columns are skipped, as are trailing empty rows.
+const sheetToTable = (worksheet, range) => {
+  if (!worksheet['!ref']) {
+    return { rows: [], columnWidths: [], columnAligns: [] };
+  }
+
+  const used = XLSX.utils.decode_range(worksheet['!ref']);
+  const bounds = range ? XLSX.utils.decode_range(range) : used;
+  const start = { r: Math.max(bounds.s.r, used.s.r), c: Math.max(bounds.s.c, used.s.c) };
+  const end = { r: Math.min(bounds.e.r, used.e.r), c: Math.min(bounds.e.c, used.e.c) };
+
+  const colInfo = worksheet['!cols'] || [];
+  const rowInfo = worksheet['!rows'] || [];
+
+  const columns = [];
+  for (let c = start.c; c <= end.c; c++) {
+    if (!(colInfo[c] && colInfo[c].hidden)) columns.push(c);
+  }
+
+  const columnWidths = columns.map(c => {
+    const info = colInfo[c];
+    if (info && info.wpx) return info.wpx * 0.75;
+    if (info && info.wch) return info.wch * POINTS_PER_CHARACTER;
+    if (info && info.width) return info.width * POINTS_PER_CHARACTER;
+    return DEFAULT_COLUMN_WIDTH;
+  });
+
+  const numericCounts = new Array(columns.length).fill(0);
+  const rows = [];
+
+  for (let r = start.r; r <= end.r; r++) {
+    if (rowInfo[r] && rowInfo[r].hidden) continue;
+
+    const row = columns.map((c, index) => {
+      const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+      if (!cell) return { text: '' };
+
+      if (cell.t === 'n') numericCounts[index]++;
+      // cell.w holds the value formatted with the cell's number format
+      const text = cell.w !== undefined ? cell.w : XLSX.utils.format_cell(cell);
+      return {
+        text,
+        align: cell.t === 'n' ? 'right' : undefined,
+        bold: !!(cell.s && cell.s.font && cell.s.font.bold)
+      };
+    });
+
+    rows.push(row);
+  }
+
+  while (rows.length && rows[rows.length - 1].every(cell => !cell.text)) {
+    rows.pop();
+  }
+
+  // Columns that hold mostly numbers are right-aligned throughout
+  const columnAligns = numericCounts.map(count => (rows.length && count > rows.length / 2 ? 'right' : 'left'));
+
+  return { rows, columnWidths, columnAligns };
+};
+
+// Plain numbers as they appear in statements and price lists: optional
+// currency sign, thousands separators, and negatives as -1 or (1)
+const NUMBER_PATTERN = /^\(?-?[$€£]?\s?-?\d{1,3}(?:,\d{3})*(?:\.\d+)?\)?$|^\(?-?[$€£]?\s?-?\d+(?:\.\d+)?\)?$/;
+
+const parseNumber = (text) => {
+  const trimmed = String(text).trim();
+  if (!NUMBER_PATTERN.test(trimmed)) return null;
+  const negative = /^\(.*\)$/.test(trimmed) || trimmed.includes('-');
+  const value = parseFloat(trimmed.replace(/[^\d.]/g, ''));
+  return Number.isFinite(value) ? (negative ? -value : value) : null;
+};
+
+// Build a worksheet from rows of strings. Cells that look like numbers are
+// stored as numbers so they can be summed, keeping the text as displayed.
+const tableToSheet = (rows) => {
+  const worksheet = XLSX.utils.aoa_to_sheet(rows.map(row => row.map(text => {
+    const value = parseNumber(text);
+    return value === null ? text : { t: 'n', v: value, w: text };
+  })));
+
+  const columnCount = Math.max(0, ...rows.map(row => row.length));
+  worksheet['!cols'] = Array.from({ length: columnCount }, (_, col) => ({
+    wch: Math.min(60, Math.max(8, ...rows.map(row => String(row[col] || '').length + 2)))
+  }));
+
+  return worksheet;
+};
+
+module.exports = { parseRange, sheetToTable, tableToSheet, parseNumber };
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const JSZip = require('jszip');
+
+// Stream a ZIP archive of files on disk into a writable stream (a file or an
+// HTTP response). Each entry is { name, path } where name is the file name
+// used inside the archive. Files are read as the archive is written, so large
+// results are never held in memory.
+const streamZip = (entries, destination) => {
+  const zip = new JSZip();
+  entries.forEach(entry => {
+    zip.file(entry.name, fs.createReadStream(entry.path));
+  });
+
+  return new Promise((resolve, reject) => {
+    zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+      .on('error', reject)
+      .pipe(destination)
+      .on('finish', resolve)
+      .on('error', reject);
+  });
+};
+
+// Build a ZIP archive file from files on disk
+const writeZip = (entries, outputPath) => streamZip(entries, fs.createWriteStream(outputPath));
+
+// Make the names of archive entries unique by adding " (2)", " (3)" and so on
+// before the extension
+const uniqueEntryNames = (names) => {
+  const used = new Set();
+  return names.map(name => {
+    const dot = name.lastIndexOf('.');
+    const [stem, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+    let candidate = name;
+    for (let copy = 2; used.has(candidate.toLowerCase()); copy++) {
+      candidate = `${stem} (${copy})${extension}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+module.exports = { streamZip, writeZip, uniqueEntryNames };